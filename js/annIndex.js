@@ -0,0 +1,359 @@
+// js/annIndex.js - HNSW approximate nearest neighbour index persisted in IndexedDB
+//
+// Each graph node lives in the annNodes table as { chunkId, documentId, level, neighbors }
+// where neighbors[l] lists the chunk ids linked on layer l. annMeta holds the entry point
+// and the fingerprint of the embedding model the graph was built from.
+// Embeddings are unit length, so the dot product is the cosine similarity.
+
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += a[i] * b[i];
+    }
+    return sum;
+}
+
+// Insert into an array kept sorted by similarity, highest first
+function insertSorted(list, item) {
+    let low = 0;
+    let high = list.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (list[mid].similarity > item.similarity) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    list.splice(low, 0, item);
+}
+
+export class ANNIndex {
+    // forEachVector(callback) must call callback(chunkId, documentId, Float32Array) per chunk
+    constructor(db, forEachVector) {
+        this.db = db;
+        this.forEachVector = forEachVector;
+        this.M = 16;                  // links per node on upper layers
+        this.maxLinksLayer0 = 32;     // links per node on the ground layer
+        this.efConstruction = 100;
+        this.efSearch = 64;
+        this.levelMultiplier = 1 / Math.log(this.M);
+
+        this.nodes = new Map();       // chunkId -> node
+        this.vectors = new Map();     // chunkId -> Float32Array
+        this.entryPoint = null;
+        this.maxLevel = -1;
+        this.loadPromise = null;
+        this.dirty = new Set();
+        this.fingerprint = null;      // "model@dimension"; a graph built for another model is discarded
+    }
+
+    get size() {
+        return this.nodes.size;
+    }
+
+    // Load the persisted graph, then index any chunks stored before the index existed
+    async ensureLoaded() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.load().catch(error => {
+                this.loadPromise = null;
+                throw error;
+            });
+        }
+        return this.loadPromise;
+    }
+
+    async load() {
+        const meta = await this.db.annMeta.get('hnsw');
+        let storedNodes = await this.db.annNodes.toArray();
+
+        if (meta && this.fingerprint && meta.fingerprint !== this.fingerprint) {
+            console.log(`🧭 Embedding model changed (${meta.fingerprint} → ${this.fingerprint}), rebuilding the ANN index`);
+            await this.db.annNodes.clear();
+            storedNodes = [];
+        }
+
+        storedNodes.forEach(node => this.nodes.set(node.chunkId, node));
+        this.entryPoint = storedNodes.length > 0 ? meta?.entryPoint ?? null : null;
+        this.maxLevel = storedNodes.length > 0 ? meta?.maxLevel ?? -1 : -1;
+
+        const missing = [];
+        await this.forEachVector((chunkId, documentId, vector) => {
+            this.vectors.set(chunkId, vector);
+            if (!this.nodes.has(chunkId)) {
+                missing.push({ id: chunkId, documentId });
+            }
+        });
+
+        // Drop nodes whose chunk no longer exists (e.g. deleted before a crash)
+        const orphans = [...this.nodes.keys()].filter(id => !this.vectors.has(id));
+        if (orphans.length > 0) {
+            this.removeFromGraph(orphans);
+        }
+
+        if (missing.length > 0) {
+            console.log(`🧭 Indexing ${missing.length} chunks into the ANN index...`);
+            missing.forEach(item => this.insert(item.id, item.documentId));
+        }
+
+        await this.flush(orphans);
+        console.log(`🧭 ANN index ready: ${this.nodes.size} nodes, ${this.maxLevel + 1} layers`);
+    }
+
+    toFloat32(embedding) {
+        return embedding instanceof Float32Array ? embedding : new Float32Array(embedding);
+    }
+
+    async addItems(items) {
+        await this.ensureLoaded();
+
+        items.forEach(({ id, documentId, embedding }) => {
+            if (!embedding || this.nodes.has(id)) return;
+            this.vectors.set(id, this.toFloat32(embedding));
+            this.insert(id, documentId);
+        });
+
+        await this.flush();
+    }
+
+    async removeItems(ids) {
+        await this.ensureLoaded();
+        this.removeFromGraph(ids.filter(id => this.nodes.has(id)));
+        await this.flush(ids);
+    }
+
+    // Forget the in-memory graph; the next ensureLoaded() reloads it for the current fingerprint
+    reset() {
+        this.nodes.clear();
+        this.vectors.clear();
+        this.dirty.clear();
+        this.entryPoint = null;
+        this.maxLevel = -1;
+        this.loadPromise = null;
+    }
+
+    async clear() {
+        this.nodes.clear();
+        this.vectors.clear();
+        this.dirty.clear();
+        this.entryPoint = null;
+        this.maxLevel = -1;
+        await Promise.all([this.db.annNodes.clear(), this.db.annMeta.clear()]);
+    }
+
+    // Persist nodes touched since the last flush, plus the entry point
+    async flush(removedIds = []) {
+        const changed = [...this.dirty]
+            .map(id => this.nodes.get(id))
+            .filter(Boolean);
+        this.dirty.clear();
+
+        await this.db.transaction('rw', this.db.annNodes, this.db.annMeta, async () => {
+            if (removedIds.length > 0) {
+                await this.db.annNodes.bulkDelete(removedIds);
+            }
+            if (changed.length > 0) {
+                await this.db.annNodes.bulkPut(changed);
+            }
+            await this.db.annMeta.put({
+                key: 'hnsw',
+                entryPoint: this.entryPoint,
+                maxLevel: this.maxLevel,
+                fingerprint: this.fingerprint
+            });
+        });
+    }
+
+    randomLevel() {
+        return Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMultiplier);
+    }
+
+    maxLinks(layer) {
+        return layer === 0 ? this.maxLinksLayer0 : this.M;
+    }
+
+    insert(id, documentId) {
+        const vector = this.vectors.get(id);
+        const level = this.randomLevel();
+        const node = {
+            chunkId: id,
+            documentId,
+            level,
+            neighbors: Array.from({ length: level + 1 }, () => [])
+        };
+        this.nodes.set(id, node);
+        this.dirty.add(id);
+
+        if (this.entryPoint === null) {
+            this.entryPoint = id;
+            this.maxLevel = level;
+            return;
+        }
+
+        // Greedy descent through the layers above the new node's level
+        let entry = this.entryPoint;
+        for (let layer = this.maxLevel; layer > level; layer--) {
+            entry = this.searchLayer(vector, [entry], 1, layer)[0].id;
+        }
+
+        for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+            const candidates = this.searchLayer(vector, [entry], this.efConstruction, layer);
+            const selected = candidates.slice(0, this.M).map(candidate => candidate.id);
+            node.neighbors[layer] = selected;
+
+            selected.forEach(neighborId => this.link(neighborId, id, layer));
+            entry = candidates[0].id;
+        }
+
+        if (level > this.maxLevel) {
+            this.entryPoint = id;
+            this.maxLevel = level;
+        }
+    }
+
+    // Add a link and keep only the closest maxLinks neighbours
+    link(fromId, toId, layer) {
+        const node = this.nodes.get(fromId);
+        if (!node || !node.neighbors[layer] || node.neighbors[layer].includes(toId)) return;
+
+        node.neighbors[layer].push(toId);
+        if (node.neighbors[layer].length > this.maxLinks(layer)) {
+            this.pruneLinks(node, layer);
+        }
+        this.dirty.add(fromId);
+    }
+
+    pruneLinks(node, layer) {
+        const vector = this.vectors.get(node.chunkId);
+        node.neighbors[layer] = node.neighbors[layer]
+            .filter(id => this.vectors.has(id))
+            .map(id => ({ id, similarity: dot(vector, this.vectors.get(id)) }))
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, this.maxLinks(layer))
+            .map(item => item.id);
+    }
+
+    // Best-first search on one layer; returns up to ef candidates sorted by similarity
+    searchLayer(query, entryIds, ef, layer, visited = new Set()) {
+        const candidates = [];
+        const results = [];
+
+        entryIds.forEach(id => {
+            if (visited.has(id)) return;
+            visited.add(id);
+            const item = { id, similarity: dot(query, this.vectors.get(id)) };
+            insertSorted(candidates, item);
+            insertSorted(results, item);
+        });
+
+        while (candidates.length > 0) {
+            const current = candidates.shift();
+            const worst = results[results.length - 1];
+            if (results.length >= ef && current.similarity < worst.similarity) break;
+
+            const neighbors = this.nodes.get(current.id)?.neighbors[layer] || [];
+            for (const neighborId of neighbors) {
+                if (visited.has(neighborId) || !this.vectors.has(neighborId)) continue;
+                visited.add(neighborId);
+
+                const similarity = dot(query, this.vectors.get(neighborId));
+                if (results.length < ef || similarity > results[results.length - 1].similarity) {
+                    const item = { id: neighborId, similarity };
+                    insertSorted(candidates, item);
+                    insertSorted(results, item);
+                    if (results.length > ef) results.pop();
+                }
+            }
+        }
+
+        return results;
+    }
+
+    // Unlink removed nodes and reconnect their former neighbours to each other
+    removeFromGraph(ids) {
+        const removed = new Set(ids);
+        if (removed.size === 0) return;
+
+        this.nodes.forEach(node => {
+            if (removed.has(node.chunkId)) return;
+
+            node.neighbors.forEach((links, layer) => {
+                const lost = links.filter(id => removed.has(id));
+                if (lost.length === 0) return;
+
+                const kept = links.filter(id => !removed.has(id));
+                const replacements = lost
+                    .flatMap(id => this.nodes.get(id)?.neighbors[layer] || [])
+                    .filter(id => id !== node.chunkId && !removed.has(id) && !kept.includes(id));
+
+                node.neighbors[layer] = [...new Set([...kept, ...replacements])];
+                this.pruneLinks(node, layer);
+                this.dirty.add(node.chunkId);
+            });
+        });
+
+        ids.forEach(id => {
+            this.nodes.delete(id);
+            this.vectors.delete(id);
+            this.dirty.delete(id);
+        });
+
+        if (removed.has(this.entryPoint)) {
+            // Promote the highest remaining node
+            this.entryPoint = null;
+            this.maxLevel = -1;
+            this.nodes.forEach(node => {
+                if (node.level > this.maxLevel) {
+                    this.entryPoint = node.chunkId;
+                    this.maxLevel = node.level;
+                }
+            });
+        }
+    }
+
+    /**
+     * Approximate top-k search. filter(node) restricts results (e.g. to one document);
+     * returns [{ id, similarity }] sorted by similarity.
+     */
+    search(query, k, filter = null, ef = this.efSearch) {
+        if (this.entryPoint === null) return [];
+
+        let entry = this.entryPoint;
+        for (let layer = this.maxLevel; layer > 0; layer--) {
+            entry = this.searchLayer(query, [entry], 1, layer)[0].id;
+        }
+
+        const results = this.searchLayer(query, [entry], Math.max(ef, k), 0);
+        return (filter ? results.filter(item => filter(this.nodes.get(item.id))) : results).slice(0, k);
+    }
+
+    // Exact scan over the in-memory vectors, used as fallback and for recall checks
+    exactSearch(query, k, filter = null) {
+        const results = [];
+        this.vectors.forEach((vector, id) => {
+            if (filter && !filter(this.nodes.get(id))) return;
+            results.push({ id, similarity: dot(query, vector) });
+        });
+        return results.sort((a, b) => b.similarity - a.similarity).slice(0, k);
+    }
+
+    // recall@k of the graph search against the exact scan, using stored vectors as queries
+    async measureRecall(sampleSize = 20, k = 10) {
+        await this.ensureLoaded();
+
+        const ids = [...this.vectors.keys()];
+        if (ids.length === 0) return { recall: 1, queries: 0, k };
+
+        let found = 0;
+        let expected = 0;
+        for (let i = 0; i < Math.min(sampleSize, ids.length); i++) {
+            const query = this.vectors.get(ids[Math.floor(Math.random() * ids.length)]);
+            const exact = new Set(this.exactSearch(query, k).map(item => item.id));
+            const approx = this.search(query, k);
+            found += approx.filter(item => exact.has(item.id)).length;
+            expected += exact.size;
+        }
+
+        return { recall: expected > 0 ? found / expected : 1, queries: Math.min(sampleSize, ids.length), k };
+    }
+}
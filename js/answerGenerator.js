@@ -0,0 +1,254 @@
+// js/answerGenerator.js
+import { escapeHtml, formatChunkLocation } from './utils.js';
+
+const STORAGE_KEY = 'localFilesQA.answerBackend';
+
+// OpenAI-compatible chat completions backend (llama.cpp server, Ollama, LM Studio, ...)
+class OpenAICompatibleBackend {
+    constructor({ endpoint, model, apiKey }) {
+        this.name = 'openai';
+        this.endpoint = (endpoint || '').replace(/\/+$/, '');
+        this.model = model || 'local-model';
+        this.apiKey = apiKey || '';
+    }
+
+    async streamChat(messages, onToken, { signal, temperature = 0.2, maxTokens = 512 } = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await fetch(`${this.endpoint}/chat/completions`, {
+            method: 'POST',
+            headers,
+            signal,
+            body: JSON.stringify({
+                model: this.model,
+                messages,
+                temperature,
+                max_tokens: maxTokens,
+                stream: true
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`LLM endpoint returned ${response.status} ${response.statusText}`);
+        }
+
+        // Some servers ignore stream: true and answer with a single JSON body
+        const contentType = response.headers.get('content-type') || '';
+        if (!response.body || contentType.includes('application/json')) {
+            const data = await response.json();
+            const text = data.choices?.[0]?.message?.content || '';
+            onToken?.(text);
+            return text;
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let fullText = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop(); // Keep the incomplete line for the next read
+
+            for (const line of lines) {
+                const trimmed = line.trim();
+                if (!trimmed.startsWith('data:')) continue;
+
+                const payload = trimmed.slice(5).trim();
+                if (payload === '[DONE]') {
+                    return fullText;
+                }
+
+                try {
+                    const token = JSON.parse(payload).choices?.[0]?.delta?.content;
+                    if (token) {
+                        fullText += token;
+                        onToken?.(token);
+                    }
+                } catch (error) {
+                    console.warn('Skipping malformed stream event:', payload);
+                }
+            }
+        }
+
+        return fullText;
+    }
+}
+
+// Offline stand-in that "answers" by quoting the opening sentence of the top sources
+class MockBackend {
+    constructor() {
+        this.name = 'mock';
+        this.tokenDelay = 15; // ms between streamed words
+    }
+
+    async streamChat(messages, onToken, { signal } = {}) {
+        const prompt = messages[messages.length - 1].content;
+        const sourcePattern = /^\[(\d+)\][^\n]*\n([^\n]+)/gm;
+        const sentences = [];
+
+        let match;
+        while ((match = sourcePattern.exec(prompt)) !== null && sentences.length < 3) {
+            const firstSentence = match[2].split(/(?<=[.!?])\s+/)[0].trim();
+            if (firstSentence) {
+                sentences.push(`${firstSentence} [${match[1]}]`);
+            }
+        }
+
+        const text = sentences.length > 0
+            ? `Based on the retrieved passages: ${sentences.join(' ')}`
+            : 'The provided sources do not contain an answer to this question.';
+
+        let fullText = '';
+        for (const word of text.split(/(\s+)/)) {
+            if (signal?.aborted) {
+                throw new DOMException('Answer generation aborted', 'AbortError');
+            }
+            fullText += word;
+            onToken?.(word);
+            await new Promise(resolve => setTimeout(resolve, this.tokenDelay));
+        }
+
+        return fullText;
+    }
+}
+
+class AnswerGenerator {
+    constructor() {
+        this.maxSources = 5;
+        this.maxSourceChars = 2000; // per chunk, keeps the prompt inside small context windows
+        this.maxRewriteTurns = 3;    // earlier turns shown to the model when rewriting a follow-up
+        this.config = this.loadConfig();
+        this.backend = this.createBackend(this.config);
+    }
+
+    loadConfig() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            return { type: 'none', endpoint: '', model: '', apiKey: '', ...stored };
+        } catch (error) {
+            console.error('Error loading answer backend config:', error);
+            return { type: 'none', endpoint: '', model: '', apiKey: '' };
+        }
+    }
+
+    saveConfig(config) {
+        this.config = { ...this.config, ...config };
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.config));
+        this.backend = this.createBackend(this.config);
+        return this.config;
+    }
+
+    createBackend(config) {
+        switch (config.type) {
+            case 'openai':
+                return config.endpoint ? new OpenAICompatibleBackend(config) : null;
+            case 'mock':
+                return new MockBackend();
+            default:
+                return null;
+        }
+    }
+
+    isConfigured() {
+        return this.backend !== null;
+    }
+
+    buildMessages(query, results) {
+        const sources = results.slice(0, this.maxSources).map((result, index) => {
+            const text = result.chunk.text.substring(0, this.maxSourceChars);
+            return `[${index + 1}] ${result.documentName}, ${formatChunkLocation(result.chunk)}\n${text.replace(/\s*\n\s*/g, ' ')}`;
+        });
+
+        return [
+            {
+                role: 'system',
+                content: 'You answer questions using only the numbered sources provided. ' +
+                    'Cite every claim inline with the source number in square brackets, e.g. [1] or [2][3]. ' +
+                    'If the sources do not contain the answer, say so instead of guessing. Be concise.'
+            },
+            {
+                role: 'user',
+                content: `Sources:\n\n${sources.join('\n\n')}\n\nQuestion: ${query}`
+            }
+        ];
+    }
+
+    // Streams the answer through onToken and resolves with the full text
+    async generateAnswer(query, results, onToken, options = {}) {
+        if (!this.isConfigured()) {
+            throw new Error('No answer backend configured');
+        }
+
+        try {
+            const messages = this.buildMessages(query, results);
+            return await this.backend.streamChat(messages, onToken, options);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error('Error generating answer:', error);
+            throw new Error(`Answer generation failed: ${error.message}`);
+        }
+    }
+
+    // Only a real model can rewrite queries; the mock backend just quotes sources
+    canRewriteQueries() {
+        return this.backend?.name === 'openai';
+    }
+
+    // Turn a follow-up question into a standalone search query using the earlier turns
+    async rewriteQuery(question, previousTurns, options = {}) {
+        const history = previousTurns.slice(-this.maxRewriteTurns).map(turn =>
+            `User: ${turn.question}` + (turn.answer?.text ? `\nAssistant: ${turn.answer.text.substring(0, 500)}` : '')
+        );
+
+        const messages = [
+            {
+                role: 'system',
+                content: 'Rewrite the last question of a conversation as a standalone search query. ' +
+                    'Replace pronouns and references such as "it" or "the second one" with what they refer to. ' +
+                    'Keep names, numbers and technical terms. Reply with the query only.'
+            },
+            {
+                role: 'user',
+                content: `Conversation:\n${history.join('\n')}\n\nLast question: ${question}\n\nStandalone query:`
+            }
+        ];
+
+        try {
+            const text = await this.backend.streamChat(messages, null, { ...options, temperature: 0, maxTokens: 64 });
+            return text.trim().split('\n')[0].replace(/^["'“]+|["'”]+$/g, '').trim();
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error('Error rewriting query:', error);
+            throw new Error(`Query rewriting failed: ${error.message}`);
+        }
+    }
+
+    // Render answer text as HTML with [n] citations linking back to the source chunks.
+    // sourcePrefix matches the id prefix the result list was rendered with.
+    formatAnswer(text, results, sourcePrefix = 'source-') {
+        const sourceCount = Math.min(results.length, this.maxSources);
+
+        return escapeHtml(text)
+            .replace(/\n/g, '<br>')
+            .replace(/\[(\d+)\]/g, (match, number) => {
+                const index = parseInt(number) - 1;
+                if (index < 0 || index >= sourceCount) return match;
+
+                const result = results[index];
+                const title = escapeHtml(`${result.documentName} • ${formatChunkLocation(result.chunk)}`);
+                return `<a href="#${sourcePrefix}${number}" class="citation" data-source="${sourcePrefix}${number}" title="${title}">[${number}]</a>`;
+            });
+    }
+}
+
+// Export the answer generator instance
+export const answerGenerator = new AnswerGenerator();
+window.answerGenerator = answerGenerator;
@@ -1,15 +1,24 @@
 // js/app.js - Main application controller
 import { documentDB } from './database.js';
-import { pdfProcessor } from './pdfProcessor.js';
+import { extractorRegistry } from './extractors.js';
+import { textChunker } from './chunker.js';
 import { embeddingGenerator } from './embeddings.js';
+import { ingestWorker } from './workerClient.js';
 import { vectorSearch } from './search.js';
 import { ui } from './ui.js';
+import { offlineManager } from './offline.js';
+import { uploadQueue } from './uploadQueue.js';
+import { escapeHtml } from './utils.js';
+import { ocrEngine } from './ocr.js';
 
 class LocalFilesQAApp {
     constructor() {
         this.isInitialized = false;
         this.embeddingModelLoaded = false;
-        this.currentProcessingId = null;
+        this.processingIds = new Set(); // documents being processed right now
+        this.isReembedding = false;
+        this.reembedBatchSize = 64;   // chunks per worker round trip while re-embedding
+        this.checkpointBatchSize = 32; // chunks embedded and stored per processing checkpoint
     }
 
     async initialize() {
@@ -17,16 +26,29 @@ class LocalFilesQAApp {
 
         try {
             console.log('🚀 Initializing Local Files Q&A App...');
+
+            // Until the model loads, assume it matches its configured name and dimension
+            documentDB.setActiveEmbedding(embeddingGenerator.fingerprint());
             
-            // Load existing documents
+            // Load existing documents and saved conversation threads
             await ui.refreshDocumentList();
+            await ui.renderThreadList();
             
             // Set up event listeners
             this.setupEventListeners();
             
             // Initial UI state
-            ui.disableSearch();
-            ui.showStatus('Welcome! Upload a PDF document to get started.', 'info');
+            ui.showStatus('Welcome! Upload a document to get started.', 'info');
+            await this.checkEmbeddingCompatibility();
+
+            // Files still waiting from the last session continue; their documents
+            // are not offered for manual resume
+            await uploadQueue.load();
+            await this.checkInterruptedDocuments();
+            uploadQueue.setProcessor((item, options) => this.processQueueItem(item, options));
+
+            // Offline support registers in the background; the header shows its state
+            offlineManager.register().then(() => ui.refreshOfflineStatus());
             
             this.isInitialized = true;
             console.log('✅ App initialized successfully');
@@ -38,42 +60,101 @@ class LocalFilesQAApp {
     }
 
     setupEventListeners() {
-        // Listen for document upload events
-        window.addEventListener('documentUpload', (event) => {
-            this.handleDocumentUpload(event.detail);
-        });
-
         // Listen for embedding model initialization requests
         window.addEventListener('initializeEmbeddings', () => {
-            this.initializeEmbeddingModel();
+            this.initializeEmbeddingModel().catch(error => {
+                ui.showStatus(`Error loading embedding model: ${error.message}`, 'error');
+            });
+        });
+
+        // A different backend or model makes stored vectors incomparable with new queries
+        window.addEventListener('embeddingSettingsChanged', () => {
+            this.embeddingModelLoaded = false;
+            ingestWorker.resetModel();
+            documentDB.setActiveEmbedding(embeddingGenerator.fingerprint());
+            this.checkEmbeddingCompatibility();
         });
 
+        // An imported library may carry vectors from another model
+        window.addEventListener('libraryImported', () => {
+            this.checkEmbeddingCompatibility();
+        });
+
+        // The first service worker install takes control after the page has loaded
+        if (offlineManager.isSupported) {
+            navigator.serviceWorker.addEventListener('controllerchange', () => ui.refreshOfflineStatus());
+        }
+        window.addEventListener('online', () => ui.refreshOfflineStatus());
+
         // Handle page reload/close
         window.addEventListener('beforeunload', (event) => {
-            if (this.currentProcessingId) {
+            if (this.processingIds.size > 0) {
                 event.preventDefault();
-                event.returnValue = 'Document is still being processed. Are you sure you want to leave?';
+                event.returnValue = 'Documents are still being processed. They will continue the next time you open the app.';
             }
         });
     }
 
-    async handleDocumentUpload({ file, documentId }) {
-        this.currentProcessingId = documentId;
-        
+    // Upload queue processor. Creates the document record on first run; an item cut
+    // off by a reload already has one and continues from its extraction checkpoint.
+    async processQueueItem(item, { signal, onProgress, onDocument }) {
+        let documentId = item.documentId;
+        const existing = documentId ? await documentDB.getDocument(documentId) : null;
+
+        if (!existing) {
+            documentId = await documentDB.createDocument({
+                filename: item.filename,
+                fileSize: item.fileSize,
+                mimeType: item.mimeType,
+                extractor: extractorRegistry.getExtractor(item.file)?.name,
+                contentHash: item.contentHash,
+                version: item.version,
+                previousVersionId: item.previousVersionId
+            });
+            await onDocument(documentId);
+        }
+
+        this.processingIds.add(documentId);
+        await documentDB.updateDocument(documentId, { status: 'processing' });
+        await ui.refreshDocumentList();
+        const progressCallback = this.progressReporter(documentId, onProgress);
+
         try {
             // Initialize embedding model if not already loaded
             if (!this.embeddingModelLoaded) {
                 await this.initializeEmbeddingModel();
             }
+            signal.throwIfAborted();
 
-            // Process the document
-            await this.processDocument(file, documentId);
+            const extracted = existing ? await documentDB.getExtractedPages(documentId) : null;
+            if (extracted) {
+                await this.continueDocument(existing, extracted, progressCallback, signal);
+            } else {
+                await this.processDocument(item.file, documentId, progressCallback, signal);
+            }
+
+            // A re-upload chosen to replace older copies takes over their tags and collections
+            if (item.replacesDocumentIds?.length > 0) {
+                await documentDB.inheritDocumentMetadata(documentId, item.replacesDocumentIds);
+                for (const oldId of item.replacesDocumentIds) {
+                    await documentDB.deleteDocument(oldId);
+                }
+                await ui.refreshDocumentList();
+            }
             
         } catch (error) {
-            console.error('Error handling document upload:', error);
-            await ui.markDocumentError(documentId, error.message);
+            if (signal.aborted) {
+                // A cancelled file leaves nothing behind
+                await documentDB.deleteDocument(documentId);
+                await ui.refreshDocumentList();
+                ui.showStatus(`Cancelled ${escapeHtml(item.filename)}`, 'info');
+            } else {
+                console.error('Error handling document upload:', error);
+                await ui.markDocumentError(documentId, error.message);
+            }
+            throw error;
         } finally {
-            this.currentProcessingId = null;
+            this.processingIds.delete(documentId);
         }
     }
 
@@ -88,14 +169,17 @@ class LocalFilesQAApp {
                 ui.showStatus('Warning: Low device memory detected. Model loading may be slow.', 'info');
             }
             
-            await embeddingGenerator.initialize((progress, message) => {
+            // The model lives in the ingest worker; queries are embedded there too
+            await ingestWorker.initializeModel((progress, message) => {
                 ui.showStatus(`${message} (${Math.round(progress)}%)`, 'info');
-            });
+            }, embeddingGenerator.settings);
             
             this.embeddingModelLoaded = true;
+            documentDB.setActiveEmbedding(ingestWorker.fingerprint);
             ui.showStatus('AI model loaded successfully!', 'success');
             
             console.log('✅ Embedding model initialized');
+            await this.checkEmbeddingCompatibility();
             
         } catch (error) {
             console.error('❌ Error initializing embedding model:', error);
@@ -122,66 +206,358 @@ class LocalFilesQAApp {
         }
     }
 
-    async processDocument(file, documentId) {
-        const progressCallback = (progress, message) => {
+    // Progress goes to the document list (and the queue) and is persisted with the document
+    progressReporter(documentId, onProgress = null) {
+        return (progress, message) => {
             ui.updateDocumentProgress(documentId, progress, message);
+            onProgress?.(progress);
             documentDB.updateDocument(documentId, { 
                 processingProgress: progress 
             });
         };
+    }
 
+    async processDocument(file, documentId, progressCallback = this.progressReporter(documentId), signal = null) {
         try {
-            // Step 1: Extract and chunk text (0-60%)
-            progressCallback(5, 'Starting PDF processing...');
-            
-            const pdfResult = await pdfProcessor.processDocument(
-                file, 
-                documentId, 
-                progressCallback
-            );
-
-            if (!pdfResult.chunks || pdfResult.chunks.length === 0) {
-                throw new Error('No text content could be extracted from the PDF');
+            const extractor = extractorRegistry.getExtractor(file);
+            if (!extractor) {
+                throw new Error(`Unsupported file type. Supported formats: ${extractorRegistry.getSupportedFormats()}`);
             }
 
-            console.log('[app.js - processDocument] pdfResult', pdfResult);
-            // Step 2: Generate embeddings (60-90%)
-            progressCallback(65, 'Generating AI embeddings...');
+            // Keep the original so it can be opened in the viewer later
+            await documentDB.saveDocumentFile(documentId, file);
+
+            const extracted = await this.extractFile(file, extractor, progressCallback);
+
+            // Checkpoint: a reload after this point resumes without the original file
+            signal?.throwIfAborted();
+            await documentDB.saveExtractedPages(documentId, extracted);
+
+            await this.indexDocument(documentId, extracted, textChunker.config, progressCallback, signal);
             
-            const embeddings = await embeddingGenerator.generateEmbeddingsBatch(
-                pdfResult.chunks,
-                progressCallback
+        } catch (error) {
+            console.error('❌ Error processing document:', error);
+            throw error;
+        }
+    }
+
+    // Extract text and structure (0-50%). Formats that need the DOM (HTML, DOCX) are
+    // extracted here, the rest in the ingest worker so the UI stays responsive.
+    async extractFile(file, extractor, progressCallback) {
+        progressCallback(5, `Starting ${extractor.label} processing...`);
+        return extractor.needsDom
+            ? extractor.extract(file, progressCallback)
+            : ingestWorker.extractDocument({
+                file,
+                extractorName: extractor.name,
+                ocrSettings: ocrEngine.settings
+            }, progressCallback);
+    }
+
+    // Split extracted text into chunks (50-60%) with the tokenizer of embeddingSettings
+    async createChunks(documentId, extracted, chunkingConfig, embeddingSettings, progressCallback) {
+        progressCallback(55, 'Creating text chunks...');
+        const result = await ingestWorker.chunkDocument({
+            documentId,
+            extracted,
+            chunkingConfig,
+            embeddingSettings
+        });
+
+        if (result.chunks.length === 0) {
+            throw new Error('No text content could be extracted from the document');
+        }
+        return result;
+    }
+
+    /**
+     * Embed chunks in checkpoint-sized batches (60-95%) and hand each batch, with its
+     * vectors and their fingerprint attached, to storeBatch(chunks, fingerprint).
+     * done counts chunks embedded before this call and total all of the document's chunks.
+     */
+    async embedChunks(chunks, { embeddingSettings, chunking, progressCallback, storeBatch, signal = null, done = 0, total = chunks.length }) {
+        const startTime = performance.now();
+        const throughput = (count) => (count / Math.max((performance.now() - startTime) / 1000, 0.001)).toFixed(1);
+        const reportEmbedded = (count, message) => {
+            progressCallback(60 + (count / total) * 35,
+                `${message} ${Math.floor(count)}/${total} chunks (${throughput(count - done)} chunks/sec)`);
+        };
+
+        for (let start = 0; start < chunks.length; start += this.checkpointBatchSize) {
+            signal?.throwIfAborted();
+            const batch = chunks.slice(start, start + this.checkpointBatchSize);
+            const before = done + start;
+            const { embeddings, fingerprint } = await ingestWorker.embedBatch(
+                batch.map(chunk => chunk.text),
+                embeddingSettings,
+                (progress) => reportEmbedded(before + (progress / 100) * batch.length, 'Generating embeddings:')
             );
-            console.log('[app.js - processDocument] embeddings', embeddings);
 
-            // Step 3: Store chunks with embeddings (90-95%)
-            progressCallback(92, 'Saving to database...');
-            
-            const chunksWithEmbeddings = pdfResult.chunks.map((chunk, index) => ({
+            // Record what produced these vectors so a later model change can be detected
+            await storeBatch(batch.map((chunk, index) => ({
                 ...chunk,
-                embedding: embeddings[index]
-            }));
+                embedding: embeddings[index],
+                embeddingModel: fingerprint.model,
+                embeddingDimension: fingerprint.dimension,
+                chunker: chunking
+            })), fingerprint);
+
+            reportEmbedded(before + batch.length, 'Embedded');
+        }
+    }
 
-            await documentDB.addChunksBatch(chunksWithEmbeddings);
+    // Chunk extracted text, then embed and store it batch by batch. Every stored batch
+    // is a checkpoint: chunks already in the database are skipped. The embedding settings
+    // are fixed when indexing starts, so changing them in the meantime cannot mix vectors
+    // from two models into one document.
+    async indexDocument(documentId, extracted, chunkingConfig, progressCallback, signal = null) {
+        const embeddingSettings = { ...embeddingGenerator.settings };
+        const { chunks, chunking, stats } = await this.createChunks(documentId, extracted, chunkingConfig, embeddingSettings, progressCallback);
 
-            // Step 4: Update document metadata (95-100%)
-            progressCallback(98, 'Finalizing...');
-            
-            await documentDB.updateDocument(documentId, {
-                totalChunks: pdfResult.chunks.length,
-                status: 'ready',
-                processingProgress: 100
+        await documentDB.updateDocument(documentId, { totalChunks: chunks.length, chunking });
+
+        const stored = await documentDB.getStoredChunkIndexes(documentId);
+        const remaining = chunks.filter(chunk => !stored.has(chunk.chunkIndex));
+        progressCallback(60, stored.size > 0
+            ? `Resuming at chunk ${stored.size + 1}/${chunks.length}...`
+            : `Created ${chunks.length} text chunks`);
+
+        await this.embedChunks(remaining, {
+            embeddingSettings,
+            chunking,
+            progressCallback,
+            signal,
+            done: stored.size,
+            total: chunks.length,
+            storeBatch: async (batch, fingerprint) => {
+                await documentDB.updateDocument(documentId, {
+                    embeddingModel: fingerprint.model,
+                    embeddingDimension: fingerprint.dimension
+                });
+                await documentDB.addChunksBatch(batch);
+            }
+        });
+
+        // Finalize (95-100%)
+        progressCallback(98, 'Finalizing...');
+        await documentDB.updateDocument(documentId, {
+            status: 'ready',
+            processingProgress: 100
+        });
+
+        progressCallback(100, 'Processing complete!');
+        await ui.markDocumentReady(documentId);
+        
+        console.log(`✅ Document processed: ${stats.totalChunks} chunks, ${stats.totalWords} words`);
+    }
+
+    // Documents still 'processing' at startup were cut off by a reload or closed tab
+    async checkInterruptedDocuments() {
+        const interrupted = await this.getInterruptedDocuments();
+        if (interrupted.length === 0) return interrupted;
+
+        for (const doc of interrupted) {
+            await documentDB.updateDocument(doc.id, { status: 'interrupted' });
+        }
+        console.warn(`⚠️ ${interrupted.length} document(s) were interrupted while processing`);
+        await ui.refreshDocumentList();
+        ui.showResumePrompt(interrupted);
+        return interrupted;
+    }
+
+    // Continue an interrupted document from its checkpoint: extracted pages are reused
+    // and only chunks not yet stored are embedded
+    async continueDocument(doc, extracted, progressCallback, signal = null) {
+        // Vectors from another model cannot be mixed into one document
+        if (doc.embeddingModel && !documentDB.matchesActiveEmbedding(doc)) {
+            await documentDB.deleteDocumentChunks(doc.id);
+        }
+
+        // Re-chunk with the settings the document started with so chunk indexes line up
+        await this.indexDocument(doc.id, extracted, doc.chunking || textChunker.config, progressCallback, signal);
+    }
+
+    async resumeDocument(documentId) {
+        if (this.processingIds.has(documentId)) return;
+        this.processingIds.add(documentId);
+
+        try {
+            const doc = await documentDB.getDocument(documentId);
+            const extracted = await documentDB.getExtractedPages(documentId);
+            if (!extracted) {
+                throw new Error('Text extraction had not finished. Delete the document and upload the file again.');
+            }
+
+            await documentDB.updateDocument(documentId, { status: 'processing' });
+            await ui.refreshDocumentList();
+
+            if (!this.embeddingModelLoaded) {
+                await this.initializeEmbeddingModel();
+            }
+
+            await this.continueDocument(doc, extracted, this.progressReporter(documentId));
+
+        } catch (error) {
+            console.error('Error resuming document:', error);
+            await ui.markDocumentError(documentId, error.message);
+        } finally {
+            this.processingIds.delete(documentId);
+        }
+    }
+
+    // Interrupted documents the upload queue will not pick up by itself
+    async getInterruptedDocuments() {
+        const queued = new Set(uploadQueue.pendingDocumentIds());
+        return (await documentDB.findInterruptedDocuments())
+            .filter(doc => !this.processingIds.has(doc.id) && !queued.has(doc.id));
+    }
+
+    async resumeInterruptedDocuments() {
+        const interrupted = await this.getInterruptedDocuments();
+        for (const doc of interrupted) {
+            await this.resumeDocument(doc.id);
+        }
+    }
+
+    async discardInterruptedDocuments() {
+        const interrupted = await this.getInterruptedDocuments();
+        for (const doc of interrupted) {
+            await documentDB.deleteDocument(doc.id);
+        }
+        await ui.refreshDocumentList();
+        ui.showStatus(`Discarded ${interrupted.length} interrupted document(s)`, 'success');
+    }
+
+    /**
+     * Rebuild a document's chunks with the current settings. The stored original is
+     * extracted again (so OCR settings apply too); documents processed before originals
+     * were kept are re-chunked from their stored page text. The new chunks are embedded
+     * aside and swapped in at the end, so until then the document keeps its status and
+     * old chunks: it stays searchable, and a failure leaves it as it was.
+     */
+    async reindexDocument(documentId) {
+        if (this.processingIds.has(documentId) || uploadQueue.pendingDocumentIds().includes(documentId)) return;
+
+        const doc = await documentDB.getDocument(documentId);
+        const stored = await documentDB.getDocumentFile(documentId);
+        let extracted = stored ? null : await documentDB.getExtractedPages(documentId);
+        if (!stored && !extracted) {
+            ui.showStatus('Neither the original file nor its text was kept for this document. Upload it again to re-index it.', 'error');
+            return;
+        }
+
+        this.processingIds.add(documentId);
+        // Progress is shown but not persisted: the document is not 'processing'
+        const progressCallback = (progress, message) => ui.updateDocumentProgress(documentId, progress, message);
+        try {
+            if (!this.embeddingModelLoaded) {
+                await this.initializeEmbeddingModel();
+            }
+
+            if (stored) {
+                const file = new File([stored.blob], stored.filename, { type: stored.mimeType });
+                const extractor = extractorRegistry.getExtractorByName(doc.extractor) || extractorRegistry.getExtractor(file);
+                if (!extractor) {
+                    throw new Error(`Unsupported file type. Supported formats: ${extractorRegistry.getSupportedFormats()}`);
+                }
+                extracted = await this.extractFile(file, extractor, progressCallback);
+            }
+
+            const embeddingSettings = { ...embeddingGenerator.settings };
+            const { chunks, chunking } = await this.createChunks(documentId, extracted, textChunker.config, embeddingSettings, progressCallback);
+
+            const embedded = [];
+            let fingerprint = null;
+            await this.embedChunks(chunks, {
+                embeddingSettings,
+                chunking,
+                progressCallback,
+                storeBatch: async (batch, batchFingerprint) => {
+                    embedded.push(...batch);
+                    fingerprint = batchFingerprint;
+                }
             });
 
-            // Complete
-            progressCallback(100, 'Processing complete!');
+            progressCallback(98, 'Replacing the previous index...');
+            await documentDB.replaceDocumentChunks(documentId, embedded);
+            if (stored) {
+                await documentDB.saveExtractedPages(documentId, extracted);
+            }
+            await documentDB.updateDocument(documentId, {
+                totalChunks: chunks.length,
+                chunking,
+                embeddingModel: fingerprint.model,
+                embeddingDimension: fingerprint.dimension
+            });
             await ui.markDocumentReady(documentId);
-            
-            console.log(`✅ Document processed: ${pdfResult.stats.totalChunks} chunks, ${pdfResult.stats.totalWords} words`);
-            
+            console.log(`🔁 Re-indexed document ${documentId}`);
+
         } catch (error) {
-            console.error('❌ Error processing document:', error);
-            throw error;
+            console.error('Error re-indexing document:', error);
+            await ui.refreshDocumentList();
+            ui.showStatus(`Could not re-index ${escapeHtml(doc.filename)}: ${escapeHtml(error.message)}. The previous index is still in use.`, 'error');
+        } finally {
+            this.processingIds.delete(documentId);
+        }
+    }
+
+    // Offer re-embedding when stored vectors came from a different model than the active one
+    async checkEmbeddingCompatibility() {
+        const stale = await documentDB.findStaleDocuments();
+        if (stale.length > 0 && !this.isReembedding) {
+            console.warn(`⚠️ ${stale.length} document(s) were embedded with a different model`);
+            ui.showReembedPrompt(stale);
+        }
+        return stale;
+    }
+
+    // Re-embed stale documents chunk batch by chunk batch in the ingest worker. Each
+    // document stays out of vector search (keyword search still works) until it is done.
+    async reembedDocuments() {
+        if (this.isReembedding) return;
+        this.isReembedding = true;
+
+        try {
+            await this.initializeEmbeddingModel();
+            const embeddingSettings = { ...embeddingGenerator.settings };
+            const stale = await documentDB.findStaleDocuments();
+
+            for (const [index, doc] of stale.entries()) {
+                const chunks = await documentDB.getDocumentChunks(doc.id);
+                let fingerprint = ingestWorker.fingerprint;
+
+                for (let start = 0; start < chunks.length; start += this.reembedBatchSize) {
+                    const batch = chunks.slice(start, start + this.reembedBatchSize);
+                    const result = await ingestWorker.embedBatch(batch.map(chunk => chunk.text), embeddingSettings);
+                    fingerprint = result.fingerprint;
+
+                    await documentDB.replaceEmbeddings(
+                        doc.id,
+                        batch.map((chunk, i) => ({ id: chunk.id, embedding: result.embeddings[i] })),
+                        fingerprint
+                    );
+                    ui.showStatus(
+                        `Re-embedding ${escapeHtml(doc.filename)} (${index + 1}/${stale.length}): ` +
+                        `${Math.min(start + this.reembedBatchSize, chunks.length)}/${chunks.length} chunks`,
+                        'info'
+                    );
+                }
+
+                await documentDB.updateDocument(doc.id, {
+                    embeddingModel: fingerprint.model,
+                    embeddingDimension: fingerprint.dimension
+                });
+            }
+
+            await ui.refreshDocumentList();
+            ui.showStatus(`Re-embedded ${stale.length} document(s) with ${ingestWorker.fingerprint.model}.`, 'success');
+            console.log(`✅ Re-embedded ${stale.length} documents`);
+
+        } catch (error) {
+            console.error('❌ Error re-embedding documents:', error);
+            ui.showStatus(`Error re-embedding documents: ${error.message}`, 'error');
+        } finally {
+            this.isReembedding = false;
         }
     }
 
@@ -217,7 +593,11 @@ class LocalFilesQAApp {
                 chunks: chunks.map(chunk => ({
                     index: chunk.chunkIndex,
                     text: chunk.text,
-                    tokenCount: chunk.tokenCount
+                    tokenCount: chunk.tokenCount,
+                    startPage: chunk.startPage ?? null,
+                    endPage: chunk.endPage ?? null,
+                    charStart: chunk.charStart ?? null,
+                    charEnd: chunk.charEnd ?? null
                 }))
             };
         } catch (error) {
@@ -233,9 +613,11 @@ class LocalFilesQAApp {
 
         try {
             await documentDB.clearAllData();
+            await uploadQueue.load();
             await ui.refreshDocumentList();
             ui.disableSearch();
             ui.clearResults();
+            await ui.renderThreadList();
             ui.showStatus('All data cleared successfully.', 'success');
             
             console.log('🗑️ All data cleared');
@@ -252,9 +634,10 @@ class LocalFilesQAApp {
     getPerformanceInfo() {
         return {
             embeddingModelLoaded: this.embeddingModelLoaded,
-            isProcessing: !!this.currentProcessingId,
-            currentProcessingId: this.currentProcessingId,
-            selectedDocument: ui.selectedDocumentId
+            isProcessing: this.processingIds.size > 0,
+            processingIds: [...this.processingIds],
+            uploadQueue: uploadQueue.getSummary(),
+            selectedDocuments: [...ui.selectedDocumentIds]
         };
     }
 }
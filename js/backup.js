@@ -0,0 +1,373 @@
+// js/backup.js - Export and import the whole library as one zip archive
+//
+// Archive layout:
+//   manifest.json      format, schema version, counts and embedding fingerprints
+//   documents.jsonl    one document per line (original id kept for the chunk mapping)
+//   collections.jsonl  one collection per line
+//   chunks.jsonl       one chunk per line; vectorOffset/dimension locate its vector
+//   vectors.f32        every chunk vector back to back as little-endian float32
+//   pages.jsonl        extracted page text and blocks, one page per line
+//   files.jsonl        original file metadata; path names its entry under files/
+//   files/<id>         original uploaded file of document <id>
+// pages.jsonl, files.jsonl and files/ are optional: backups made before they were
+// added restore without them (re-index then needs the file uploaded again).
+import { documentDB } from './database.js';
+import { SCHEMA_VERSION } from './migrations.js';
+import { dequantizeInt8 } from './quantization.js';
+
+const FORMAT = 'localFilesQA-library';
+const FORMAT_VERSION = 1;
+
+function toJsonl(rows) {
+    return rows.map(row => JSON.stringify(row)).join('\n');
+}
+
+function fromJsonl(text) {
+    return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+// Fields an imported row may carry, with their types; anything else in the archive is dropped
+const DOCUMENT_FIELDS = {
+    id: 'number', filename: 'string', uploadDate: 'string', totalChunks: 'number', fileSize: 'number',
+    mimeType: 'string', extractor: 'string', contentHash: 'string', version: 'number',
+    previousVersionId: 'number', embeddingModel: 'string', embeddingDimension: 'number'
+};
+const CHUNKING_FIELDS = { strategy: 'string', maxTokens: 'number', overlap: 'number', tokenizer: 'string' };
+const CHUNK_FIELDS = {
+    chunkIndex: 'number', text: 'string', tokenCount: 'number', charStart: 'number', charEnd: 'number',
+    startPage: 'number', endPage: 'number', section: 'string', ocr: 'boolean', ocrConfidence: 'number',
+    embeddingModel: 'string', embeddingDimension: 'number'
+};
+const PAGE_FIELDS = { pageNumber: 'number', start: 'number', end: 'number', text: 'string' };
+const BLOCK_FIELDS = {
+    type: 'string', level: 'number', text: 'string', page: 'number', start: 'number', end: 'number',
+    ocr: 'boolean', ocrConfidence: 'number'
+};
+const FILE_FIELDS = { filename: 'string', mimeType: 'string', size: 'number', storedAt: 'string' };
+
+function pickFields(row, fields) {
+    const picked = {};
+    Object.entries(fields).forEach(([name, type]) => {
+        const value = row?.[name];
+        if (type === 'number' ? Number.isFinite(value) : typeof value === type) {
+            picked[name] = value;
+        }
+    });
+    return picked;
+}
+
+// Plain objects only, so a damaged row cannot pass an array or string off as a record
+function isRecord(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+class LibraryBackup {
+    /**
+     * Build the archive for every ready document; ones still processing, interrupted
+     * or failed are left out, as their chunks are incomplete. Chunks stored without
+     * full-precision vectors are exported dequantized from their int8 codes.
+     */
+    async exportLibrary(progressCallback) {
+        try {
+            const documents = (await documentDB.getAllDocuments()).filter(doc => doc.status === 'ready');
+            const collections = await documentDB.getCollections();
+
+            const chunkRows = [];
+            const pageRows = [];
+            const fileRows = [];
+            const zip = new JSZip();
+            const vectorParts = [];
+            const fingerprints = new Map();
+            let vectorOffset = 0;
+
+            for (const [index, doc] of documents.entries()) {
+                progressCallback?.(index, documents.length, doc.filename);
+
+                const chunks = await documentDB.getDocumentChunks(doc.id);
+                const missing = chunks.filter(chunk => !chunk.embedding).map(chunk => chunk.id);
+                const quantized = new Map((await documentDB.getQuantizedVectorsByIds(missing))
+                    .filter(Boolean)
+                    .map(row => [row.chunkId, dequantizeInt8(row.int8, row.scale)]));
+
+                chunks.forEach(chunk => {
+                    const { id, embedding, ...fields } = chunk;
+                    const vector = embedding
+                        ? (embedding instanceof Float32Array ? embedding : new Float32Array(embedding))
+                        : quantized.get(id);
+
+                    chunkRows.push({
+                        ...fields,
+                        vectorOffset: vector ? vectorOffset : null,
+                        dimension: vector ? vector.length : 0,
+                        vectorPrecision: embedding ? 'float32' : 'int8'
+                    });
+                    if (vector) {
+                        vectorParts.push(vector);
+                        vectorOffset += vector.length;
+                    }
+                });
+
+                pageRows.push(...await documentDB.getPageRows(doc.id));
+                const stored = await documentDB.getDocumentFile(doc.id);
+                if (stored) {
+                    const { blob, ...meta } = stored;
+                    const path = `files/${doc.id}`;
+                    fileRows.push({ ...meta, path });
+                    zip.file(path, blob);
+                }
+
+                const key = `${doc.embeddingModel}@${doc.embeddingDimension}`;
+                const entry = fingerprints.get(key) || { model: doc.embeddingModel, dimension: doc.embeddingDimension, documents: 0 };
+                entry.documents++;
+                fingerprints.set(key, entry);
+            }
+
+            const vectors = new Float32Array(vectorOffset);
+            let position = 0;
+            vectorParts.forEach(part => {
+                vectors.set(part, position);
+                position += part.length;
+            });
+
+            const manifest = {
+                format: FORMAT,
+                formatVersion: FORMAT_VERSION,
+                schemaVersion: SCHEMA_VERSION,
+                exportedAt: new Date().toISOString(),
+                documents: documents.length,
+                chunks: chunkRows.length,
+                files: fileRows.length,
+                embeddings: [...fingerprints.values()]
+            };
+
+            zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+            zip.file('documents.jsonl', toJsonl(documents));
+            zip.file('collections.jsonl', toJsonl(collections));
+            zip.file('chunks.jsonl', toJsonl(chunkRows));
+            zip.file('vectors.f32', new Uint8Array(vectors.buffer));
+            zip.file('pages.jsonl', toJsonl(pageRows));
+            zip.file('files.jsonl', toJsonl(fileRows));
+
+            progressCallback?.(documents.length, documents.length, null);
+            return await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+
+        } catch (error) {
+            console.error('Error exporting library:', error);
+            throw error;
+        }
+    }
+
+    // Unpack and validate an archive without touching the database
+    async readArchive(file) {
+        const zip = await JSZip.loadAsync(file);
+        const read = async (name, type = 'string') => {
+            const entry = zip.file(name);
+            if (!entry) throw new Error(`Not a library backup: ${name} is missing`);
+            return entry.async(type);
+        };
+
+        const manifest = JSON.parse(await read('manifest.json'));
+        if (manifest.format !== FORMAT) {
+            throw new Error('Not a library backup from this app');
+        }
+        if (manifest.formatVersion > FORMAT_VERSION) {
+            throw new Error('This backup was made by a newer version of the app');
+        }
+
+        return {
+            manifest,
+            documents: fromJsonl(await read('documents.jsonl')),
+            collections: zip.file('collections.jsonl') ? fromJsonl(await read('collections.jsonl')) : [],
+            chunks: fromJsonl(await read('chunks.jsonl')),
+            vectors: new Float32Array(await read('vectors.f32', 'arraybuffer')),
+            pages: zip.file('pages.jsonl') ? fromJsonl(await read('pages.jsonl')) : [],
+            files: zip.file('files.jsonl') ? fromJsonl(await read('files.jsonl')) : [],
+            // File contents are inflated one document at a time during import
+            readFile: (path) => read(path, 'blob')
+        };
+    }
+
+    // Which of the archive's embedding models match the active one
+    checkCompatibility(manifest) {
+        const active = documentDB.activeEmbedding;
+        const incompatible = manifest.embeddings.filter(fingerprint => !documentDB.matchesActiveEmbedding({
+            embeddingModel: fingerprint.model,
+            embeddingDimension: fingerprint.dimension
+        }));
+        return {
+            compatible: incompatible.length === 0,
+            activeModel: active?.model || null,
+            incompatible,
+            documentsToReembed: incompatible.reduce((sum, fingerprint) => sum + fingerprint.documents, 0)
+        };
+    }
+
+    /**
+     * Assemble { document, chunks, pages, file } per archive document, reading the
+     * original files and checking every chunk vector against vectors.f32. Rows keep only
+     * the known fields of the right type. Throws on the first damaged entry, before
+     * anything is written.
+     */
+    async prepareEntries(archive) {
+        const { documents, chunks, vectors, pages = [], files = [] } = archive;
+        const groupByDocument = (rows) => {
+            const groups = new Map();
+            rows.forEach(row => {
+                const list = groups.get(row.documentId) || [];
+                list.push(row);
+                groups.set(row.documentId, list);
+            });
+            return groups;
+        };
+        const chunksByDocument = groupByDocument(chunks);
+        const pagesByDocument = groupByDocument(pages);
+        const filesByDocument = new Map(files.map(file => [file.documentId, file]));
+
+        const entries = [];
+        for (const row of documents) {
+            const doc = pickFields(row, DOCUMENT_FIELDS);
+            if (doc.id === undefined || !doc.filename || Number.isNaN(new Date(doc.uploadDate).getTime())) {
+                throw new Error('Damaged backup: a document has no id, name or upload date');
+            }
+            doc.tags = Array.isArray(row.tags) ? row.tags.filter(tag => typeof tag === 'string') : [];
+            if (isRecord(row.chunking)) {
+                doc.chunking = pickFields(row.chunking, CHUNKING_FIELDS);
+            }
+
+            const restored = (chunksByDocument.get(doc.id) || []).map(({ vectorOffset, dimension, ...chunkRow }) => {
+                const chunk = pickFields(chunkRow, CHUNK_FIELDS);
+                if (chunk.text === undefined || chunk.chunkIndex === undefined) {
+                    throw new Error(`Damaged backup: a chunk of "${doc.filename}" has no text or position`);
+                }
+                if (vectorOffset !== null && !(Number.isInteger(vectorOffset) && Number.isInteger(dimension) &&
+                    vectorOffset >= 0 && dimension > 0 && vectorOffset + dimension <= vectors.length)) {
+                    throw new Error(`Damaged backup: a vector of "${doc.filename}" lies outside vectors.f32`);
+                }
+                if (isRecord(chunkRow.chunker)) {
+                    chunk.chunker = pickFields(chunkRow.chunker, CHUNKING_FIELDS);
+                }
+                return {
+                    ...chunk,
+                    // Copy out of the shared buffer so each chunk owns its vector
+                    embedding: vectorOffset === null ? null : vectors.slice(vectorOffset, vectorOffset + dimension)
+                };
+            });
+
+            const pageRows = (pagesByDocument.get(doc.id) || []).map(pageRow => {
+                const page = pickFields(pageRow, PAGE_FIELDS);
+                if (page.pageNumber === undefined) {
+                    throw new Error(`Damaged backup: a page of "${doc.filename}" has no number`);
+                }
+                page.blocks = Array.isArray(pageRow.blocks)
+                    ? pageRow.blocks.filter(isRecord).map(block => pickFields(block, BLOCK_FIELDS))
+                    : [];
+                return page;
+            });
+
+            const fileRow = filesByDocument.get(doc.id);
+            let file = null;
+            if (fileRow) {
+                if (typeof fileRow.path !== 'string') {
+                    throw new Error(`Damaged backup: the original file of "${doc.filename}" is missing`);
+                }
+                const meta = pickFields(fileRow, FILE_FIELDS);
+                const content = await archive.readFile(fileRow.path);
+                file = { ...meta, blob: new Blob([content], { type: meta.mimeType || '' }) };
+            }
+
+            entries.push({
+                document: { ...doc, totalChunks: restored.length },
+                chunks: restored,
+                pages: pageRows,
+                file
+            });
+        }
+        return entries;
+    }
+
+    /**
+     * Import an archive. Every entry is read and checked before the library changes.
+     * mode: 'merge' adds to the library, 'replace' swaps its documents and collections
+     * for the archive's in one transaction (search history and threads are not in the
+     * archive and stay). duplicates (same filename and size): 'skip', 'overwrite' or
+     * 'keep' both. Returns { imported, skipped, overwritten, documentsToReembed }.
+     */
+    async importLibrary(archive, { mode = 'merge', duplicates = 'skip' } = {}, progressCallback) {
+        try {
+            const { documents } = archive;
+            const entries = await this.prepareEntries(archive);
+            const collections = archive.collections
+                .filter(collection => typeof collection?.name === 'string' && collection.name && Array.isArray(collection.documentIds))
+                .map(({ name, documentIds }) => ({ name, documentIds }));
+            const summary = { imported: 0, skipped: 0, overwritten: 0, documentsToReembed: 0 };
+
+            if (mode === 'replace') {
+                progressCallback?.(0, documents.length, documents[0]?.filename);
+                summary.imported = (await documentDB.replaceLibrary(entries, collections)).length;
+                summary.documentsToReembed = entries.filter(entry => !documentDB.matchesActiveEmbedding(entry.document)).length;
+                progressCallback?.(documents.length, documents.length, null);
+                console.log(`📥 Library restore: ${summary.imported} documents replaced the library`);
+                return summary;
+            }
+
+            const idMap = new Map(); // archive document id -> local id
+
+            for (const [index, entry] of entries.entries()) {
+                const doc = entry.document;
+                progressCallback?.(index, entries.length, doc.filename);
+
+                const existing = await documentDB.findDuplicateDocument(doc);
+                if (existing && duplicates === 'skip') {
+                    idMap.set(doc.id, existing.id);
+                    summary.skipped++;
+                    continue;
+                }
+                if (existing && duplicates === 'overwrite') {
+                    await documentDB.deleteDocument(existing.id);
+                    summary.overwritten++;
+                }
+
+                idMap.set(doc.id, await documentDB.importDocument(entry));
+                summary.imported++;
+                if (!documentDB.matchesActiveEmbedding(doc)) {
+                    summary.documentsToReembed++;
+                }
+            }
+
+            // Collections merge by name
+            const existingCollections = await documentDB.getCollections();
+            for (const collection of collections) {
+                const documentIds = collection.documentIds.map(id => idMap.get(id)).filter(Boolean);
+                const match = existingCollections.find(existing => existing.name === collection.name);
+                if (match) {
+                    await documentDB.addToCollection(match.id, documentIds);
+                } else {
+                    await documentDB.createCollection(collection.name, documentIds);
+                }
+            }
+
+            progressCallback?.(documents.length, documents.length, null);
+            console.log(`📥 Library import: ${summary.imported} imported, ${summary.skipped} skipped, ${summary.overwritten} overwritten`);
+            return summary;
+
+        } catch (error) {
+            console.error('Error importing library:', error);
+            throw error;
+        }
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Export the backup instance
+export const libraryBackup = new LibraryBackup();
+window.libraryBackup = libraryBackup;
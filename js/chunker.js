@@ -0,0 +1,326 @@
+// js/chunker.js - Chunking strategies for extracted document text
+import { embeddingGenerator } from './embeddings.js';
+
+const STORAGE_KEY = 'localFilesQA.chunking';
+
+export const CHUNKING_STRATEGIES = {
+    words: 'Fixed word window',
+    sentences: 'Sentence packing',
+    structure: 'Headings & paragraphs',
+    recursive: 'Recursive splitter'
+};
+
+// The words strategy counts whitespace-separated words (the original 500/50 windows);
+// every other strategy measures maxTokens and overlap with the embedding model's tokenizer.
+const DEFAULT_CONFIGS = {
+    words: { strategy: 'words', maxTokens: 500, overlap: 50 },
+    sentences: { strategy: 'sentences', maxTokens: 256, overlap: 32 },
+    structure: { strategy: 'structure', maxTokens: 256, overlap: 0 },
+    recursive: { strategy: 'recursive', maxTokens: 256, overlap: 32 }
+};
+
+const SENTENCE_BOUNDARY = /[.!?]+["')\]]*\s+|\n\s*\n/g;
+
+class TextChunker {
+    constructor() {
+        this.config = this.loadConfig();
+    }
+
+    loadConfig() {
+        // Inside the ingest worker the config always arrives with the request
+        if (typeof localStorage === 'undefined') {
+            return { ...DEFAULT_CONFIGS.sentences };
+        }
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            const strategy = stored?.strategy in DEFAULT_CONFIGS ? stored.strategy : 'sentences';
+            return { ...DEFAULT_CONFIGS[strategy], ...stored, strategy };
+        } catch (error) {
+            console.error('Error loading chunking config:', error);
+            return { ...DEFAULT_CONFIGS.sentences };
+        }
+    }
+
+    saveConfig(config) {
+        const strategy = config.strategy || this.config.strategy;
+        // Switching strategy resets the budget to that strategy's defaults
+        const base = strategy !== this.config.strategy ? DEFAULT_CONFIGS[strategy] : this.config;
+        this.config = { ...base, ...config, strategy };
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.config));
+        return this.config;
+    }
+
+    getDefaultConfig(strategy) {
+        return { ...DEFAULT_CONFIGS[strategy] };
+    }
+
+    // Token count from the embedding model's tokenizer, estimated until the model is loaded
+    countTokens(text) {
+        return embeddingGenerator.countTokens(text);
+    }
+
+    /**
+     * Split extracted text into chunks.
+     * extracted: { text, blocks?, pages? } as returned by an extractor
+     * Returns { chunks, config } where config records exactly how the chunks were made.
+     */
+    chunk(extracted, documentId, config = this.config) {
+        const { text, blocks = [], pages = null } = extracted;
+        const usedConfig = { ...DEFAULT_CONFIGS[config.strategy] || DEFAULT_CONFIGS.sentences, ...config };
+
+        let ranges;
+        switch (usedConfig.strategy) {
+            case 'words':
+                ranges = this.wordWindows(text, 0, text.length, usedConfig.maxTokens, usedConfig.overlap);
+                break;
+            case 'structure':
+                ranges = this.structureRanges(text, blocks, usedConfig);
+                break;
+            case 'recursive':
+                ranges = this.packSegments(text, this.recursiveSplit(text, 0, text.length, 0, usedConfig.maxTokens), usedConfig);
+                break;
+            case 'sentences':
+            default:
+                ranges = this.packSegments(text, this.splitSentences(text, 0, text.length), usedConfig);
+                break;
+        }
+
+        const chunks = [];
+        ranges.forEach(range => {
+            const chunkText = text.slice(range.start, range.end).replace(/\s+/g, ' ').trim();
+            if (chunkText.length === 0) return;
+            const ocrBlocks = blocks.filter(block => block.ocr && block.start < range.end && block.end > range.start);
+
+            chunks.push({
+                documentId: documentId,
+                chunkIndex: chunks.length,
+                text: chunkText,
+                tokenCount: usedConfig.strategy === 'words' ? range.words : this.countTokens(chunkText),
+                charStart: range.start,
+                charEnd: range.end,
+                startPage: this.findPage(pages, range.start),
+                endPage: this.findPage(pages, range.end - 1),
+                section: range.section ?? null,
+                // Text recognised from a scanned page, with the engine's mean confidence (0-1)
+                ocr: ocrBlocks.length > 0,
+                ocrConfidence: ocrBlocks.length > 0
+                    ? ocrBlocks.reduce((sum, block) => sum + block.ocrConfidence, 0) / ocrBlocks.length
+                    : null,
+                embedding: null // Will be filled by embedding module
+            });
+        });
+
+        return {
+            chunks,
+            config: { ...usedConfig, tokenizer: embeddingGenerator.tokenizerName() }
+        };
+    }
+
+    // Original fixed window chunking: maxWords words with an overlap of overlapWords
+    wordWindows(text, from, to, maxWords, overlapWords) {
+        const words = [...text.slice(from, to).matchAll(/\S+/g)];
+        const ranges = [];
+        let startIndex = 0;
+
+        while (startIndex < words.length) {
+            const endIndex = Math.min(startIndex + maxWords, words.length);
+            const lastWord = words[endIndex - 1];
+            ranges.push({
+                start: from + words[startIndex].index,
+                end: from + lastWord.index + lastWord[0].length,
+                words: endIndex - startIndex
+            });
+
+            if (endIndex >= words.length) break;
+            // Always move at least 1 word forward
+            startIndex = Math.max(startIndex + maxWords - overlapWords, startIndex + 1);
+        }
+
+        return ranges;
+    }
+
+    // Sentence ranges (paragraph breaks also end a sentence), whitespace trimmed
+    splitSentences(text, from, to) {
+        const segments = [];
+        const slice = text.slice(from, to);
+        let segmentStart = 0;
+
+        const pushSegment = (start, end) => {
+            const raw = slice.slice(start, end);
+            const leading = raw.length - raw.trimStart().length;
+            const trimmed = raw.trim();
+            if (trimmed.length > 0) {
+                segments.push({ start: from + start + leading, end: from + start + leading + trimmed.length });
+            }
+        };
+
+        for (const match of slice.matchAll(SENTENCE_BOUNDARY)) {
+            pushSegment(segmentStart, match.index + match[0].trimEnd().length);
+            segmentStart = match.index + match[0].length;
+        }
+        pushSegment(segmentStart, slice.length);
+
+        return segments;
+    }
+
+    // Split a range on progressively finer separators until every piece fits the budget
+    recursiveSplit(text, from, to, level, maxTokens) {
+        const separators = [/\n\s*\n/g, /\n/g, SENTENCE_BOUNDARY];
+        if (this.countTokens(text.slice(from, to)) <= maxTokens) {
+            return [{ start: from, end: to }];
+        }
+        if (level >= separators.length) {
+            return this.tokenWindows(text, from, to, maxTokens);
+        }
+
+        const pieces = [];
+        const slice = text.slice(from, to);
+        let pieceStart = 0;
+        for (const match of slice.matchAll(new RegExp(separators[level].source, 'g'))) {
+            const pieceEnd = match.index + match[0].trimEnd().length;
+            if (pieceEnd > pieceStart) pieces.push([from + pieceStart, from + pieceEnd]);
+            pieceStart = match.index + match[0].length;
+        }
+        if (pieceStart < slice.length) pieces.push([from + pieceStart, to]);
+
+        return pieces
+            .filter(([start, end]) => text.slice(start, end).trim().length > 0)
+            .flatMap(([start, end]) => this.recursiveSplit(text, start, end, level + 1, maxTokens));
+    }
+
+    // Last resort for a single over-long sentence: cut it on word boundaries by token budget
+    tokenWindows(text, from, to, maxTokens) {
+        const ranges = [];
+        let current = null;
+        let currentTokens = 0;
+
+        for (const word of text.slice(from, to).matchAll(/\S+/g)) {
+            const tokens = this.countTokens(word[0]);
+            const start = from + word.index;
+            const end = start + word[0].length;
+
+            if (current && currentTokens + tokens > maxTokens) {
+                ranges.push(current);
+                current = null;
+                currentTokens = 0;
+            }
+            current = current ? { ...current, end } : { start, end };
+            currentTokens += tokens;
+        }
+        if (current) ranges.push(current);
+
+        return ranges;
+    }
+
+    // Greedily pack consecutive segments into chunks of at most maxTokens,
+    // carrying trailing segments worth up to overlap tokens into the next chunk
+    packSegments(text, segments, { maxTokens, overlap }, section = null) {
+        const sized = segments.flatMap(segment => {
+            const tokens = this.countTokens(text.slice(segment.start, segment.end));
+            return tokens > maxTokens
+                ? this.tokenWindows(text, segment.start, segment.end, maxTokens).map(range => ({
+                    ...range, tokens: this.countTokens(text.slice(range.start, range.end))
+                }))
+                : [{ ...segment, tokens }];
+        });
+
+        const ranges = [];
+        let current = [];
+        let currentTokens = 0;
+
+        const flush = () => {
+            if (current.length === 0) return;
+            ranges.push({ start: current[0].start, end: current[current.length - 1].end, section });
+
+            // Keep a tail of segments as overlap, but never the whole chunk
+            const tail = [];
+            let tailTokens = 0;
+            for (let i = current.length - 1; i > 0; i--) {
+                if (tailTokens + current[i].tokens > overlap) break;
+                tail.unshift(current[i]);
+                tailTokens += current[i].tokens;
+            }
+            current = tail;
+            currentTokens = tailTokens;
+        };
+
+        sized.forEach(segment => {
+            if (currentTokens + segment.tokens > maxTokens && currentTokens > 0) {
+                flush();
+                // The overlap tail alone may not leave room for the next segment
+                if (currentTokens + segment.tokens > maxTokens) {
+                    current = [];
+                    currentTokens = 0;
+                }
+            }
+            current.push(segment);
+            currentTokens += segment.tokens;
+        });
+
+        if (current.length > 0 && (ranges.length === 0 || current[current.length - 1].end > ranges[ranges.length - 1].end)) {
+            ranges.push({ start: current[0].start, end: current[current.length - 1].end, section });
+        }
+
+        return ranges;
+    }
+
+    // Start a new chunk at each heading and pack that section's paragraphs up to the budget
+    structureRanges(text, blocks, config) {
+        if (blocks.length === 0) {
+            return this.packSegments(text, this.splitSentences(text, 0, text.length), config);
+        }
+
+        const ranges = [];
+        let section = null;
+        let sectionSegments = [];
+
+        const flushSection = () => {
+            if (sectionSegments.length > 0) {
+                ranges.push(...this.packSegments(text, sectionSegments, config, section));
+            }
+            sectionSegments = [];
+        };
+
+        blocks.forEach(block => {
+            if (block.type === 'heading') {
+                flushSection();
+                section = block.text;
+                sectionSegments.push({ start: block.start, end: block.end });
+                return;
+            }
+
+            // Whole paragraphs when they fit, otherwise their sentences
+            const tokens = this.countTokens(block.text);
+            if (tokens <= config.maxTokens) {
+                sectionSegments.push({ start: block.start, end: block.end });
+            } else {
+                sectionSegments.push(...this.splitSentences(text, block.start, block.end));
+            }
+        });
+        flushSection();
+
+        return ranges;
+    }
+
+    // Binary search for the page containing a character offset
+    findPage(pages, offset) {
+        if (!pages || pages.length === 0) return null;
+
+        let low = 0;
+        let high = pages.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (pages[mid].start <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return pages[low].pageNumber;
+    }
+}
+
+// Export the chunker instance
+export const textChunker = new TextChunker();
+window.textChunker = textChunker;
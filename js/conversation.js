@@ -0,0 +1,224 @@
+// js/conversation.js - Chat-style threads of questions with follow-up query rewriting
+//
+// A thread is { id, title, createdAt, updatedAt, turns }. Each turn keeps the question as
+// typed, the standalone query retrieval actually ran, the sources it found and the answer
+// shown, so a saved thread re-opens exactly as it was.
+import { documentDB } from './database.js';
+import { answerGenerator } from './answerGenerator.js';
+
+// Words that only make sense with an earlier turn in mind
+const REFERENCE_WORDS = new Set([
+    'it', 'its', 'they', 'them', 'their', 'this', 'that', 'these', 'those', 'he', 'she', 'his', 'her',
+    'one', 'ones', 'former', 'latter', 'same', 'above', 'previous', 'else', 'more', 'other'
+]);
+
+const ORDINALS = { first: 1, second: 2, third: 3, fourth: 4, fifth: 5, '1st': 1, '2nd': 2, '3rd': 3, '4th': 4, '5th': 5 };
+
+// Openers such as "what about ..." that ask the previous question about something new
+const CONTINUATION_PATTERN = /^(?:and|also|so|then|what about|how about|and what about|what of)\b[\s,]*/i;
+
+const FILLER_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for',
+    'from', 'has', 'have', 'how', 'i', 'if', 'in', 'is', 'me', 'of', 'on', 'or', 'please', 'say', 'says',
+    'should', 'tell', 'the', 'there', 'to', 'was', 'were', 'what', 'when', 'where', 'which', 'who', 'why',
+    'will', 'with', 'would', 'about', 'you', 'your', 'any', 'some', 'than'
+]);
+
+const MAX_CONTEXT_TERMS = 6;
+
+function words(text) {
+    return text.match(/[\p{L}\p{N}][\p{L}\p{N}'-]*/gu) || [];
+}
+
+class Conversation {
+    constructor() {
+        this.thread = null; // the thread shown in the results area; null until the first question
+    }
+
+    get turns() {
+        return this.thread?.turns || [];
+    }
+
+    // Forget the current thread; the next question starts a new one
+    startThread() {
+        this.thread = null;
+    }
+
+    async open(id) {
+        this.thread = await documentDB.getThread(id);
+        return this.thread;
+    }
+
+    async list() {
+        return documentDB.getThreads();
+    }
+
+    async remove(id) {
+        await documentDB.deleteThread(id);
+        if (this.thread?.id === id) {
+            this.thread = null;
+        }
+    }
+
+    /**
+     * Standalone retrieval query for a question. The first question is used as is;
+     * follow-ups go through the configured LLM when there is one, else the heuristic.
+     * Returns { query, method: 'none' | 'llm' | 'heuristic' }.
+     */
+    async rewrite(question, options = {}) {
+        const previous = this.turns;
+        if (previous.length === 0) {
+            return { query: question, method: 'none' };
+        }
+
+        if (answerGenerator.canRewriteQueries()) {
+            try {
+                const query = await answerGenerator.rewriteQuery(question, previous, options);
+                if (query) return { query, method: 'llm' };
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn('⚠️ Falling back to heuristic query rewriting:', error.message);
+            }
+        }
+
+        const query = this.heuristicRewrite(question, previous);
+        return { query, method: query === question ? 'none' : 'heuristic' };
+    }
+
+    // A question reads as a follow-up when it opens with "what about", points back with
+    // a pronoun or ordinal, or is too short to stand on its own
+    isFollowUp(question) {
+        const tokens = words(question.toLowerCase());
+        const contentWords = tokens.filter(word => !FILLER_WORDS.has(word) && !REFERENCE_WORDS.has(word));
+        return CONTINUATION_PATTERN.test(question.trim()) ||
+            tokens.some(word => REFERENCE_WORDS.has(word) || word in ORDINALS) ||
+            contentWords.length <= 2;
+    }
+
+    /**
+     * Merge entities from earlier turns into a follow-up: the previous query's key terms
+     * (quoted phrases, capitalised names, codes and other content words) are appended,
+     * and an ordinal such as "the second one" brings in that result's section or document.
+     */
+    heuristicRewrite(question, previousTurns) {
+        const previous = previousTurns[previousTurns.length - 1];
+        if (!previous || !this.isFollowUp(question)) return question;
+
+        const tokens = words(question.toLowerCase());
+        const own = new Set(tokens);
+        const kept = words(question.trim().replace(CONTINUATION_PATTERN, ''))
+            .filter(word => {
+                const lower = word.toLowerCase();
+                return !REFERENCE_WORDS.has(lower) && !(lower in ORDINALS) && !['the', 'a', 'an'].includes(lower);
+            });
+
+        const context = [];
+        const addTerm = (term) => {
+            const key = term.toLowerCase();
+            if (!own.has(key) && !context.some(existing => existing.toLowerCase() === key)) {
+                context.push(term);
+            }
+        };
+
+        const ordinal = tokens.map(word => ORDINALS[word]).find(Boolean);
+        const referenced = ordinal && previous.response?.results?.[ordinal - 1];
+        if (referenced) {
+            addTerm(referenced.chunk.section || referenced.documentName.replace(/\.[^.]+$/, ''));
+        }
+
+        // The searched text, without any filter syntax the previous query used
+        this.keyTerms(previous.response?.query || previous.query).forEach(addTerm);
+
+        const merged = [...kept, ...context.slice(0, MAX_CONTEXT_TERMS)].join(' ').trim();
+        return merged || question;
+    }
+
+    // Entities first (quoted phrases, codes, capitalised runs), then other content words
+    keyTerms(text) {
+        const terms = [];
+        const covered = new Set();
+        const add = (term) => {
+            terms.push(term);
+            words(term.toLowerCase()).forEach(word => covered.add(word));
+        };
+
+        for (const match of text.matchAll(/"([^"]+)"/g)) {
+            add(match[1]);
+        }
+        const unquoted = text.replace(/"[^"]*"/g, ' ');
+
+        // Codes and numbers, e.g. "E-1042", "2024", "v2.3"
+        for (const match of unquoted.matchAll(/[\p{L}\p{N}]+(?:[-_./][\p{L}\p{N}]+)*/gu)) {
+            if (/\d/.test(match[0])) add(match[0]);
+        }
+        // Capitalised runs not at the start of the sentence, e.g. "Data Protection Act"
+        for (const match of unquoted.matchAll(/(?<!^|[.?!]\s)\b\p{Lu}[\p{L}\p{N}]*(?:\s+\p{Lu}[\p{L}\p{N}]*)*(?![-_./\p{L}\p{N}])/gu)) {
+            if (!covered.has(match[0].toLowerCase())) add(match[0]);
+        }
+
+        words(unquoted)
+            .filter(word => {
+                const lower = word.toLowerCase();
+                return word.length > 2 && !FILLER_WORDS.has(lower) && !REFERENCE_WORDS.has(lower) && !covered.has(lower);
+            })
+            .forEach(word => terms.push(word.toLowerCase()));
+
+        return terms;
+    }
+
+    /**
+     * Append a turn and save the thread, creating it on the first question.
+     * The search response is copied without embeddings to keep saved threads small.
+     */
+    async addTurn({ question, query, rewriteMethod, mode, scopeLabel, response }) {
+        const now = new Date();
+        if (!this.thread) {
+            this.thread = { title: question, createdAt: now, turns: [] };
+        }
+
+        const turn = {
+            question,
+            query,
+            rewriteMethod,
+            mode,
+            scopeLabel,
+            response: this.snapshotResponse(response),
+            answer: null,
+            askedAt: now
+        };
+        this.thread.turns.push(turn);
+        await this.save();
+        return turn;
+    }
+
+    // answer: { kind: 'generated', text } or { kind: 'extracted', html }. The thread is
+    // passed in because another one may have been opened while the answer was produced.
+    async setAnswer(thread, turn, answer) {
+        turn.answer = answer;
+        await this.save(thread);
+    }
+
+    async save(thread = this.thread) {
+        thread.updatedAt = new Date();
+        thread.id = await documentDB.putThread(thread);
+    }
+
+    snapshotResponse(response) {
+        const copyChunk = ({ embedding, ...chunk }) => chunk;
+        return {
+            query: response.query,
+            totalSearched: response.totalSearched,
+            hasResults: response.hasResults,
+            documentCounts: response.documentCounts,
+            results: response.results.map(result => ({
+                ...result,
+                chunk: copyChunk(result.chunk),
+                duplicates: (result.duplicates || []).map(duplicate => ({ ...duplicate, chunk: copyChunk(duplicate.chunk) }))
+            }))
+        };
+    }
+}
+
+// Export the conversation instance
+export const conversation = new Conversation();
+window.conversation = conversation;
@@ -1,15 +1,47 @@
 // js/database.js
+import { ANNIndex } from './annIndex.js';
+import { quantizeEmbedding, dequantizeInt8 } from './quantization.js';
+import { KeywordIndex } from './keywordIndex.js';
+import { applyMigrations, fingerprintKey } from './migrations.js';
+
+const VECTOR_STORAGE_KEY = 'localFilesQA.vectorStorage';
+
+// Tags compare case-insensitively, so store them lowercased
+function normalizeTags(tags) {
+    return [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
 class DocumentDatabase {
     constructor() {
         this.db = new Dexie('LocalFilesQA');
         this.setupSchema();
+        this.annIndex = new ANNIndex(this.db, (callback) => this.forEachEmbedding(callback));
+        this.keywordIndex = new KeywordIndex(this.db);
+        this.vectorStorage = this.loadVectorStorage();
+        this.activeEmbedding = null; // { model, dimension } of the model queries are embedded with
+    }
+
+    // searchMode: 'float32' | 'int8' | 'binary' first pass;
+    // dropFullPrecision: keep only quantized vectors for new (and compacted) chunks
+    loadVectorStorage() {
+        const defaults = { searchMode: 'float32', dropFullPrecision: false };
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem(VECTOR_STORAGE_KEY) || 'null') };
+        } catch (error) {
+            console.error('Error loading vector storage settings:', error);
+            return defaults;
+        }
+    }
+
+    saveVectorStorage(settings) {
+        this.vectorStorage = { ...this.vectorStorage, ...settings };
+        localStorage.setItem(VECTOR_STORAGE_KEY, JSON.stringify(this.vectorStorage));
+        return this.vectorStorage;
     }
 
     setupSchema() {
-        this.db.version(1).stores({
-            documents: '++id, filename, uploadDate, totalChunks, fileSize, status, processingProgress',
-            chunks: '++id, documentId, chunkIndex, text, embedding, tokenCount'
-        });
+        // Versions and upgrades live in migrations.js
+        applyMigrations(this.db);
 
         // Open the database
         this.db.open().catch(err => {
@@ -25,6 +57,12 @@ class DocumentDatabase {
                 uploadDate: new Date(),
                 totalChunks: 0,
                 fileSize: documentData.fileSize,
+                mimeType: documentData.mimeType || '',
+                extractor: documentData.extractor || 'pdf',
+                tags: normalizeTags(documentData.tags || []),
+                contentHash: documentData.contentHash || null,
+                version: documentData.version || 1,
+                previousVersionId: documentData.previousVersionId || null,
                 status: 'processing',
                 processingProgress: 0
             });
@@ -35,6 +73,107 @@ class DocumentDatabase {
         }
     }
 
+    // Add a document exported from another library in one transaction.
+    // entry: { document, chunks, pages, file } - see storeImportedDocument. Returns the new id.
+    async importDocument(entry) {
+        try {
+            const { documentId, chunks, chunkIds } = await this.db.transaction('rw', this.importTables(),
+                () => this.storeImportedDocument(entry));
+            await this.indexChunkVectors(chunks, chunkIds);
+            return documentId;
+        } catch (error) {
+            console.error('Error importing document:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Swap the library for an archive's documents in one transaction, so a bad entry or
+     * a full disk leaves the current library as it was. entries as for importDocument;
+     * collections list documents by their id in the archive (entry.document.id).
+     * Search history, threads and the upload queue stay. Returns the new document ids.
+     */
+    async replaceLibrary(entries, collections = []) {
+        try {
+            const tables = [...this.importTables(), this.db.collections, this.db.annNodes, this.db.annMeta];
+            const documentIds = await this.db.transaction('rw', tables, async () => {
+                for (const table of tables) {
+                    await table.clear();
+                }
+                const idMap = new Map();
+                for (const entry of entries) {
+                    idMap.set(entry.document.id, (await this.storeImportedDocument(entry)).documentId);
+                }
+                for (const collection of collections) {
+                    await this.db.collections.add({
+                        name: collection.name,
+                        documentIds: [...new Set(collection.documentIds.map(id => idMap.get(id)).filter(Boolean))],
+                        createdAt: new Date()
+                    });
+                }
+                return [...idMap.values()];
+            });
+
+            // The graph tables were cleared with the rest; it rebuilds from the stored vectors on next load
+            this.annIndex.reset();
+            return documentIds;
+        } catch (error) {
+            console.error('Error replacing library:', error);
+            throw error;
+        }
+    }
+
+    importTables() {
+        return [...this.chunkTables(), this.db.documents, this.db.documentPages, this.db.documentFiles];
+    }
+
+    // Rows of one imported document, written inside the caller's transaction. Keeps its
+    // metadata (dates, tags, fingerprint); pages and file are there when the backup has them.
+    async storeImportedDocument({ document, chunks, pages = [], file = null }) {
+        const { id, ...fields } = document;
+        const documentId = await this.db.documents.add({
+            ...fields,
+            uploadDate: new Date(fields.uploadDate),
+            tags: normalizeTags(fields.tags || []),
+            status: 'ready',
+            processingProgress: 100
+        });
+        const rows = chunks.map(chunk => ({ ...chunk, documentId }));
+        const chunkIds = await this.storeChunks(rows);
+        if (pages.length > 0) {
+            await this.db.documentPages.bulkAdd(pages.map(page => ({ ...page, documentId })));
+        }
+        if (file) {
+            await this.db.documentFiles.put({ ...file, documentId, storedAt: new Date(file.storedAt) });
+        }
+        return { documentId, chunks: rows, chunkIds };
+    }
+
+    // Documents whose original file had this SHA-256
+    async findDocumentsByHash(contentHash) {
+        try {
+            return await this.db.documents.where('contentHash').equals(contentHash).toArray();
+        } catch (error) {
+            console.error('Error finding documents by hash:', error);
+            return [];
+        }
+    }
+
+    // An existing document with the same content hash, or failing that the same name and size
+    async findDuplicateDocument(documentData) {
+        try {
+            if (documentData.contentHash) {
+                const [sameContent] = await this.findDocumentsByHash(documentData.contentHash);
+                if (sameContent) return sameContent;
+            }
+            const matches = await this.db.documents.where('filename').equals(documentData.filename).toArray();
+            return matches.find(doc => doc.fileSize === documentData.fileSize) || null;
+        } catch (error) {
+            console.error('Error looking for duplicate document:', error);
+            return null;
+        }
+    }
+
     async getAllDocuments() {
         try {
             return await this.db.documents.orderBy('uploadDate').reverse().toArray();
@@ -64,8 +203,12 @@ class DocumentDatabase {
 
     async deleteDocument(id) {
         try {
-            // Delete all chunks first
-            await this.db.chunks.where('documentId').equals(id).delete();
+            await this.deleteDocumentChunks(id);
+            await this.db.documentPages.where('documentId').equals(id).delete();
+            await this.db.documentFiles.delete(id);
+            await this.db.collections.toCollection().modify(collection => {
+                collection.documentIds = collection.documentIds.filter(documentId => documentId !== id);
+            });
             // Then delete the document
             await this.db.documents.delete(id);
         } catch (error) {
@@ -74,16 +217,165 @@ class DocumentDatabase {
         }
     }
 
+    // Documents left in 'processing' when the tab closed mid-ingest
+    async findInterruptedDocuments() {
+        try {
+            return await this.db.documents.where('status').anyOf('processing', 'interrupted').toArray();
+        } catch (error) {
+            console.error('Error finding interrupted documents:', error);
+            return [];
+        }
+    }
+
+    // Extraction checkpoint: one row per page (page 0 for formats without pages)
+    // holding that page's blocks with their offsets into the full text
+    async saveExtractedPages(documentId, extracted) {
+        try {
+            const pageRanges = new Map((extracted.pages || []).map(page => [page.pageNumber, page]));
+            const rows = new Map();
+            extracted.blocks.forEach(block => {
+                const pageNumber = block.page ?? 0;
+                if (!rows.has(pageNumber)) {
+                    const range = pageRanges.get(pageNumber);
+                    rows.set(pageNumber, {
+                        documentId,
+                        pageNumber,
+                        start: range?.start ?? block.start,
+                        end: range?.end ?? block.end,
+                        blocks: []
+                    });
+                }
+                const row = rows.get(pageNumber);
+                row.blocks.push(block);
+                row.end = Math.max(row.end, block.end);
+            });
+            rows.forEach(row => {
+                row.text = row.blocks.map(block => block.text).join('\n\n');
+            });
+
+            await this.db.transaction('rw', this.db.documentPages, async () => {
+                await this.db.documentPages.where('documentId').equals(documentId).delete();
+                await this.db.documentPages.bulkAdd([...rows.values()]);
+            });
+        } catch (error) {
+            console.error('Error saving extracted pages:', error);
+            throw error;
+        }
+    }
+
+    // Rebuild the extractor result ({ text, blocks, pages }) from the checkpoint, or null
+    async getExtractedPages(documentId) {
+        try {
+            const rows = await this.db.documentPages.where('documentId').equals(documentId).sortBy('pageNumber');
+            if (rows.length === 0) return null;
+
+            const blocks = rows.flatMap(row => row.blocks);
+            const pages = rows
+                .filter(row => row.pageNumber > 0)
+                .map(({ pageNumber, start, end }) => ({ pageNumber, start, end }));
+            return {
+                text: blocks.map(block => block.text).join('\n\n'),
+                blocks,
+                pages: pages.length > 0 ? pages : null
+            };
+        } catch (error) {
+            console.error('Error loading extracted pages:', error);
+            return null;
+        }
+    }
+
+    // Stored page rows as saved, for backups
+    async getPageRows(documentId) {
+        try {
+            return await this.db.documentPages.where('documentId').equals(documentId).sortBy('pageNumber');
+        } catch (error) {
+            console.error('Error loading extracted pages:', error);
+            throw error;
+        }
+    }
+
+    // Original file of a document: { documentId, blob, filename, mimeType, size, storedAt }
+    async saveDocumentFile(documentId, file) {
+        try {
+            await this.db.documentFiles.put({
+                documentId,
+                blob: file,
+                filename: file.name,
+                mimeType: file.type,
+                size: file.size,
+                storedAt: new Date()
+            });
+        } catch (error) {
+            console.error('Error saving original file:', error);
+            throw error;
+        }
+    }
+
+    async getDocumentFile(documentId) {
+        try {
+            return await this.db.documentFiles.get(documentId);
+        } catch (error) {
+            console.error('Error fetching original file:', error);
+            return null;
+        }
+    }
+
+    // Ids of documents whose original file is stored
+    async getDocumentIdsWithFiles() {
+        try {
+            return new Set(await this.db.documentFiles.toCollection().primaryKeys());
+        } catch (error) {
+            console.error('Error listing stored files:', error);
+            return new Set();
+        }
+    }
+
+    // Ids of documents with extracted page text stored
+    async getDocumentIdsWithPages() {
+        try {
+            return new Set(await this.db.documentPages.orderBy('documentId').uniqueKeys());
+        } catch (error) {
+            console.error('Error listing extracted pages:', error);
+            return new Set();
+        }
+    }
+
+    /**
+     * Ids of documents matching query-syntax filters: the name contains any of
+     * documents, every tag is present, and the upload date is in [after, before).
+     */
+    async findDocumentIds({ documents = [], tags = [], after = null, before = null }) {
+        try {
+            const collection = after || before
+                ? this.db.documents.where('uploadDate').between(after || Dexie.minKey, before || Dexie.maxKey, true, false)
+                : this.db.documents.toCollection();
+            const names = documents.map(name => name.toLowerCase());
+
+            return await collection
+                .filter(doc => names.length === 0 || names.some(name => doc.filename.toLowerCase().includes(name)))
+                .filter(doc => tags.every(tag => (doc.tags || []).includes(tag)))
+                .primaryKeys();
+        } catch (error) {
+            console.error('Error filtering documents:', error);
+            throw error;
+        }
+    }
+
     // Chunk operations
     async addChunk(chunkData) {
         try {
-            return await this.db.chunks.add({
+            const [id] = await this.addChunksBatch([{
                 documentId: chunkData.documentId,
                 chunkIndex: chunkData.chunkIndex,
                 text: chunkData.text,
                 embedding: chunkData.embedding, // Float32Array
-                tokenCount: chunkData.tokenCount
-            });
+                tokenCount: chunkData.tokenCount,
+                charStart: chunkData.charStart,
+                charEnd: chunkData.charEnd,
+                startPage: chunkData.startPage ?? null,
+                endPage: chunkData.endPage ?? null
+            }]);
+            return id;
         } catch (error) {
             console.error('Error adding chunk:', error);
             throw error;
@@ -92,13 +384,56 @@ class DocumentDatabase {
 
     async addChunksBatch(chunks) {
         try {
-            return await this.db.chunks.bulkAdd(chunks);
+            const ids = await this.db.transaction('rw', this.chunkTables(), () => this.storeChunks(chunks));
+            await this.indexChunkVectors(chunks, ids);
+            return ids;
         } catch (error) {
             console.error('Error adding chunks batch:', error);
             throw error;
         }
     }
 
+    // Tables a chunk write touches besides the ANN graph
+    chunkTables() {
+        return [this.db.chunks, this.db.quantizedVectors, this.db.postings, this.db.keywordDocs, this.db.keywordMeta];
+    }
+
+    // Chunks, their quantized codes and their keyword postings, written inside the
+    // caller's transaction so a processing checkpoint never holds chunks that keyword
+    // search cannot find. Returns the new chunk ids.
+    async storeChunks(chunks) {
+        const stored = this.vectorStorage.dropFullPrecision
+            ? chunks.map(chunk => ({ ...chunk, embedding: null }))
+            : chunks;
+
+        const chunkIds = await this.db.chunks.bulkAdd(stored, { allKeys: true });
+        await this.db.quantizedVectors.bulkAdd(chunks
+            .map((chunk, index) => chunk.embedding && quantizeEmbedding(chunkIds[index], chunk.documentId, chunk.embedding))
+            .filter(Boolean));
+        await this.keywordIndex.addChunks(chunks.map((chunk, index) => ({
+            id: chunkIds[index],
+            documentId: chunk.documentId,
+            text: chunk.text
+        })));
+        return chunkIds;
+    }
+
+    // Index the new vectors incrementally once their rows are committed; search falls
+    // back to exact if this fails. Vectors from another model (e.g. an imported library)
+    // wait for re-embedding. Vectors that miss the graph (this fails, or the page closes
+    // first) are inserted the next time the index loads, as it indexes every stored vector.
+    async indexChunkVectors(chunks, ids) {
+        try {
+            await this.annIndex.addItems(chunks.map((chunk, index) => ({
+                id: ids[index],
+                documentId: chunk.documentId,
+                embedding: this.matchesActiveEmbedding(chunk) ? chunk.embedding : null
+            })));
+        } catch (error) {
+            console.error('Error updating ANN index:', error);
+        }
+    }
+
     async getDocumentChunks(documentId) {
         try {
             return await this.db.chunks
@@ -112,6 +447,261 @@ class DocumentDatabase {
         }
     }
 
+    // chunkIndex values already stored for a document; processing skips these on resume.
+    // Only the [documentId+chunkIndex] index keys are read, not the chunk rows.
+    async getStoredChunkIndexes(documentId) {
+        try {
+            const keys = await this.db.chunks
+                .where('[documentId+chunkIndex]')
+                .between([documentId, Dexie.minKey], [documentId, Dexie.maxKey])
+                .keys();
+            return new Set(keys.map(([, chunkIndex]) => chunkIndex));
+        } catch (error) {
+            console.error('Error listing stored chunks:', error);
+            throw error;
+        }
+    }
+
+    // Remove a document's chunks and everything derived from them, keeping the document
+    async deleteDocumentChunks(documentId) {
+        try {
+            // Unlink the chunks from the ANN index, then delete them
+            const chunkIds = await this.db.chunks.where('documentId').equals(documentId).primaryKeys();
+            await this.annIndex.removeItems(chunkIds);
+            await this.db.quantizedVectors.where('documentId').equals(documentId).delete();
+            await this.keywordIndex.removeDocument(documentId);
+            await this.db.chunks.where('documentId').equals(documentId).delete();
+        } catch (error) {
+            console.error('Error deleting document chunks:', error);
+            throw error;
+        }
+    }
+
+    // Swap a document's chunks for a rebuilt, already embedded set (re-indexing).
+    // Removal and insert commit together, so a failure leaves the old chunks in place;
+    // the in-memory ANN graph follows only once they have.
+    async replaceDocumentChunks(documentId, chunks) {
+        try {
+            const rows = chunks.map(chunk => ({ ...chunk, documentId }));
+            let oldIds = [];
+            const ids = await this.db.transaction('rw', this.chunkTables(), async () => {
+                oldIds = await this.db.chunks.where('documentId').equals(documentId).primaryKeys();
+                await this.db.quantizedVectors.where('documentId').equals(documentId).delete();
+                await this.keywordIndex.removeDocument(documentId);
+                await this.db.chunks.where('documentId').equals(documentId).delete();
+                return this.storeChunks(rows);
+            });
+
+            try {
+                await this.annIndex.removeItems(oldIds);
+            } catch (error) {
+                console.error('Error updating ANN index:', error);
+            }
+            await this.indexChunkVectors(rows, ids);
+            return ids;
+        } catch (error) {
+            console.error('Error replacing document chunks:', error);
+            throw error;
+        }
+    }
+
+    // Chunks of several documents, selected through the documentId index
+    async getChunksForDocuments(documentIds) {
+        try {
+            return await this.db.chunks.where('documentId').anyOf(documentIds).toArray();
+        } catch (error) {
+            console.error('Error fetching chunks for documents:', error);
+            return [];
+        }
+    }
+
+    async getChunksByIds(ids) {
+        try {
+            return await this.db.chunks.bulkGet(ids);
+        } catch (error) {
+            console.error('Error fetching chunks by id:', error);
+            return [];
+        }
+    }
+
+    // Chunk ids in document and reading order, read from index keys only.
+    // documentIds: array of ids to restrict to, null for all
+    async getChunkIdsInOrder(documentIds = null) {
+        try {
+            if (!documentIds) {
+                return await this.db.chunks.orderBy('[documentId+chunkIndex]').primaryKeys();
+            }
+            const perDocument = await Promise.all([...documentIds].sort((a, b) => a - b).map(documentId =>
+                this.db.chunks.where('[documentId+chunkIndex]')
+                    .between([documentId, Dexie.minKey], [documentId, Dexie.maxKey])
+                    .primaryKeys()));
+            return perDocument.flat();
+        } catch (error) {
+            console.error('Error listing chunk ids:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Ids of chunks overlapping pages from..to (to may be Infinity): those starting at
+     * or before to and ending at or after from, intersected from the two page indexes
+     * without loading rows. Chunks without page numbers never match.
+     */
+    async findChunkIdsInPages(documentIds, { from, to }) {
+        try {
+            const ids = documentIds || await this.db.documents.toCollection().primaryKeys();
+            const spans = await Promise.all(ids.map(async documentId => {
+                const [startsBefore, endsAfter] = await Promise.all([
+                    this.db.chunks.where('[documentId+startPage]')
+                        .between([documentId, Dexie.minKey], [documentId, to], true, true)
+                        .primaryKeys(),
+                    this.db.chunks.where('[documentId+endPage]')
+                        .between([documentId, from], [documentId, Dexie.maxKey], true, true)
+                        .primaryKeys()
+                ]);
+                const starting = new Set(startsBefore);
+                return endsAfter.filter(id => starting.has(id));
+            }));
+            return new Set(spans.flat());
+        } catch (error) {
+            console.error('Error finding chunks by page:', error);
+            throw error;
+        }
+    }
+
+    // documentIds: array of ids (or a single id) to restrict to, null for all
+    async getQuantizedVectors(documentIds = null) {
+        try {
+            if (documentIds === null || documentIds === undefined) {
+                return await this.db.quantizedVectors.toArray();
+            }
+            const ids = Array.isArray(documentIds) ? documentIds : [documentIds];
+            return await this.db.quantizedVectors.where('documentId').anyOf(ids).toArray();
+        } catch (error) {
+            console.error('Error fetching quantized vectors:', error);
+            return [];
+        }
+    }
+
+    async getQuantizedVectorsByIds(chunkIds) {
+        try {
+            return await this.db.quantizedVectors.bulkGet(chunkIds);
+        } catch (error) {
+            console.error('Error fetching quantized vectors by id:', error);
+            return [];
+        }
+    }
+
+    // Calls callback(chunkId, documentId, Float32Array) for every chunk embedded with the
+    // active model, dequantizing chunks whose full-precision vector was dropped
+    async forEachEmbedding(callback) {
+        const missing = [];
+        await this.db.chunks.each(chunk => {
+            if (!this.matchesActiveEmbedding(chunk)) return;
+            if (chunk.embedding) {
+                const vector = chunk.embedding instanceof Float32Array ? chunk.embedding : new Float32Array(chunk.embedding);
+                callback(chunk.id, chunk.documentId, vector);
+            } else {
+                missing.push(chunk.id);
+            }
+        });
+
+        if (missing.length > 0) {
+            const rows = await this.db.quantizedVectors.bulkGet(missing);
+            rows.forEach(row => {
+                if (row) callback(row.chunkId, row.documentId, dequantizeInt8(row.int8, row.scale));
+            });
+        }
+    }
+
+    // Embedding fingerprint: which model produced the stored vectors
+    setActiveEmbedding(fingerprint) {
+        this.activeEmbedding = fingerprint;
+        const key = fingerprintKey(fingerprint);
+        if (this.annIndex.fingerprint !== key) {
+            this.annIndex.fingerprint = key;
+            this.annIndex.reset();
+        }
+    }
+
+    // Works for documents and chunks, which both carry embeddingModel/embeddingDimension
+    // An unknown active dimension (HTTP backend before its first call) matches any
+    matchesActiveEmbedding(record) {
+        if (!this.activeEmbedding) return true;
+        return record.embeddingModel === this.activeEmbedding.model &&
+            (!this.activeEmbedding.dimension || record.embeddingDimension === this.activeEmbedding.dimension);
+    }
+
+    // Ready documents whose vectors came from a different model than the active one
+    async findStaleDocuments() {
+        try {
+            const documents = await this.db.documents.where('status').equals('ready').toArray();
+            return documents.filter(doc => !this.matchesActiveEmbedding(doc));
+        } catch (error) {
+            console.error('Error finding stale documents:', error);
+            return [];
+        }
+    }
+
+    // Ids of ready documents that vector search can compare against the active model
+    async getCompatibleDocumentIds() {
+        const documents = await this.db.documents.where('status').equals('ready').toArray();
+        return documents.filter(doc => this.matchesActiveEmbedding(doc)).map(doc => doc.id);
+    }
+
+    // Swap in vectors from the active model for some of a document's chunks, keeping
+    // chunk ids (and so the keyword index) intact. updates: [{ id, embedding }]
+    async replaceEmbeddings(documentId, updates, fingerprint) {
+        try {
+            await this.db.transaction('rw', this.db.chunks, this.db.quantizedVectors, async () => {
+                await Promise.all(updates.map(({ id, embedding }) => this.db.chunks.update(id, {
+                    embedding: this.vectorStorage.dropFullPrecision ? null : embedding,
+                    embeddingModel: fingerprint.model,
+                    embeddingDimension: fingerprint.dimension
+                })));
+                await this.db.quantizedVectors.bulkPut(updates.map(({ id, embedding }) =>
+                    quantizeEmbedding(id, documentId, embedding)));
+            });
+
+            try {
+                await this.annIndex.addItems(updates.map(({ id, embedding }) => ({ id, documentId, embedding })));
+            } catch (error) {
+                console.error('Error updating ANN index:', error);
+            }
+        } catch (error) {
+            console.error('Error replacing embeddings:', error);
+            throw error;
+        }
+    }
+
+    // Drop full-precision vectors from every chunk, keeping only the quantized codes
+    async compactEmbeddings(progressCallback) {
+        try {
+            const ids = await this.db.chunks.toCollection().primaryKeys();
+            const batchSize = 500;
+
+            for (let i = 0; i < ids.length; i += batchSize) {
+                const batch = ids.slice(i, i + batchSize);
+                await this.db.transaction('rw', this.db.chunks, this.db.quantizedVectors, async () => {
+                    const chunks = await this.db.chunks.bulkGet(batch);
+                    const quantized = await this.db.quantizedVectors.bulkGet(batch);
+
+                    // Quantize anything the v3 upgrade could not cover before dropping it
+                    const missingRows = chunks
+                        .filter((chunk, index) => chunk?.embedding && !quantized[index])
+                        .map(chunk => quantizeEmbedding(chunk.id, chunk.documentId, chunk.embedding));
+                    await this.db.quantizedVectors.bulkPut(missingRows);
+
+                    await Promise.all(batch.map(id => this.db.chunks.update(id, { embedding: null })));
+                });
+                progressCallback?.(Math.min(i + batchSize, ids.length), ids.length);
+            }
+        } catch (error) {
+            console.error('Error compacting embeddings:', error);
+            throw error;
+        }
+    }
+
     async getAllChunks() {
         try {
             return await this.db.chunks.toArray();
@@ -121,6 +711,268 @@ class DocumentDatabase {
         }
     }
 
+    // Upload queue operations
+    async getQueueItems() {
+        try {
+            return await this.db.uploadQueue.orderBy('position').toArray();
+        } catch (error) {
+            console.error('Error fetching upload queue:', error);
+            return [];
+        }
+    }
+
+    async addQueueItems(items) {
+        try {
+            return await this.db.uploadQueue.bulkAdd(items, { allKeys: true });
+        } catch (error) {
+            console.error('Error adding to upload queue:', error);
+            throw error;
+        }
+    }
+
+    async updateQueueItem(id, updates) {
+        try {
+            return await this.db.uploadQueue.update(id, updates);
+        } catch (error) {
+            console.error('Error updating upload queue item:', error);
+            throw error;
+        }
+    }
+
+    async deleteQueueItems(ids) {
+        try {
+            await this.db.uploadQueue.bulkDelete(ids);
+        } catch (error) {
+            console.error('Error deleting upload queue items:', error);
+            throw error;
+        }
+    }
+
+    // Tag operations
+    async getAllTags() {
+        try {
+            return await this.db.documents.orderBy('tags').uniqueKeys();
+        } catch (error) {
+            console.error('Error fetching tags:', error);
+            return [];
+        }
+    }
+
+    async addTags(documentIds, tags) {
+        const added = normalizeTags(tags);
+        try {
+            await this.db.documents.where('id').anyOf(documentIds).modify(doc => {
+                doc.tags = normalizeTags([...(doc.tags || []), ...added]);
+            });
+        } catch (error) {
+            console.error('Error adding tags:', error);
+            throw error;
+        }
+    }
+
+    async removeTags(documentIds, tags) {
+        const removed = new Set(normalizeTags(tags));
+        try {
+            await this.db.documents.where('id').anyOf(documentIds).modify(doc => {
+                doc.tags = (doc.tags || []).filter(tag => !removed.has(tag));
+            });
+        } catch (error) {
+            console.error('Error removing tags:', error);
+            throw error;
+        }
+    }
+
+    // Ids of documents carrying every one of the given tags
+    async getDocumentIdsByTags(tags) {
+        try {
+            const wanted = normalizeTags(tags);
+            if (wanted.length === 0) return [];
+
+            const docs = await this.db.documents.where('tags').equals(wanted[0]).toArray();
+            return docs
+                .filter(doc => wanted.every(tag => doc.tags.includes(tag)))
+                .map(doc => doc.id);
+        } catch (error) {
+            console.error('Error fetching documents by tag:', error);
+            return [];
+        }
+    }
+
+    // Search history operations, newest run first
+    async getHistoryEntries() {
+        try {
+            return await this.db.searchHistory.orderBy('timestamp').reverse().toArray();
+        } catch (error) {
+            console.error('Error fetching search history:', error);
+            return [];
+        }
+    }
+
+    async findHistoryEntry(key) {
+        try {
+            return await this.db.searchHistory.where('key').equals(key).first();
+        } catch (error) {
+            console.error('Error finding history entry:', error);
+            return null;
+        }
+    }
+
+    async putHistoryEntry(entry) {
+        try {
+            return await this.db.searchHistory.put(entry);
+        } catch (error) {
+            console.error('Error saving history entry:', error);
+            throw error;
+        }
+    }
+
+    async updateHistoryEntry(id, changes) {
+        try {
+            await this.db.searchHistory.update(id, changes);
+        } catch (error) {
+            console.error('Error updating history entry:', error);
+            throw error;
+        }
+    }
+
+    async deleteHistoryEntries(ids) {
+        try {
+            await this.db.searchHistory.bulkDelete(ids);
+        } catch (error) {
+            console.error('Error deleting history entries:', error);
+            throw error;
+        }
+    }
+
+    // Conversation threads, most recently active first
+    async getThreads() {
+        try {
+            return await this.db.threads.orderBy('updatedAt').reverse().toArray();
+        } catch (error) {
+            console.error('Error fetching threads:', error);
+            return [];
+        }
+    }
+
+    async getThread(id) {
+        try {
+            return await this.db.threads.get(id);
+        } catch (error) {
+            console.error('Error fetching thread:', error);
+            return null;
+        }
+    }
+
+    async putThread(thread) {
+        try {
+            return await this.db.threads.put(thread);
+        } catch (error) {
+            console.error('Error saving thread:', error);
+            throw error;
+        }
+    }
+
+    async deleteThread(id) {
+        try {
+            await this.db.threads.delete(id);
+        } catch (error) {
+            console.error('Error deleting thread:', error);
+            throw error;
+        }
+    }
+
+    // Collection operations
+    // Give a document the tags and collection memberships of the documents it replaces
+    async inheritDocumentMetadata(documentId, sourceIds) {
+        try {
+            const sources = (await this.db.documents.bulkGet(sourceIds)).filter(Boolean);
+            await this.addTags([documentId], sources.flatMap(doc => doc.tags || []));
+            await this.db.collections.toCollection().modify(collection => {
+                if (sourceIds.some(id => collection.documentIds.includes(id)) && !collection.documentIds.includes(documentId)) {
+                    collection.documentIds.push(documentId);
+                }
+            });
+        } catch (error) {
+            console.error('Error copying document metadata:', error);
+            throw error;
+        }
+    }
+
+    async getCollections() {
+        try {
+            return await this.db.collections.orderBy('name').toArray();
+        } catch (error) {
+            console.error('Error fetching collections:', error);
+            return [];
+        }
+    }
+
+    async getCollection(id) {
+        try {
+            return await this.db.collections.get(id);
+        } catch (error) {
+            console.error('Error fetching collection:', error);
+            return null;
+        }
+    }
+
+    async createCollection(name, documentIds = []) {
+        try {
+            return await this.db.collections.add({
+                name,
+                documentIds: [...new Set(documentIds)],
+                createdAt: new Date()
+            });
+        } catch (error) {
+            console.error('Error creating collection:', error);
+            if (error.name === 'ConstraintError') {
+                throw new Error(`A collection named "${name}" already exists`);
+            }
+            throw error;
+        }
+    }
+
+    async updateCollection(id, updates) {
+        try {
+            await this.db.collections.update(id, updates);
+        } catch (error) {
+            console.error('Error updating collection:', error);
+            throw error;
+        }
+    }
+
+    async addToCollection(id, documentIds) {
+        try {
+            await this.db.collections.where('id').equals(id).modify(collection => {
+                collection.documentIds = [...new Set([...collection.documentIds, ...documentIds])];
+            });
+        } catch (error) {
+            console.error('Error adding to collection:', error);
+            throw error;
+        }
+    }
+
+    async removeFromCollection(id, documentIds) {
+        const removed = new Set(documentIds);
+        try {
+            await this.db.collections.where('id').equals(id).modify(collection => {
+                collection.documentIds = collection.documentIds.filter(documentId => !removed.has(documentId));
+            });
+        } catch (error) {
+            console.error('Error removing from collection:', error);
+            throw error;
+        }
+    }
+
+    async deleteCollection(id) {
+        try {
+            await this.db.collections.delete(id);
+        } catch (error) {
+            console.error('Error deleting collection:', error);
+            throw error;
+        }
+    }
+
     // Search operations
     async searchChunks(documentId, limit = 5) {
         try {
@@ -142,10 +994,39 @@ class DocumentDatabase {
         try {
             const docCount = await this.db.documents.count();
             const chunkCount = await this.db.chunks.count();
-            
+
+            // Embedding storage. Quantized codes stored next to a full-precision vector are
+            // overhead; only chunks whose float32 vector was dropped save space.
+            let fullPrecisionBytes = 0;
+            const withFullPrecision = new Set();
+            await this.db.chunks.each(chunk => {
+                if (chunk.embedding) {
+                    fullPrecisionBytes += chunk.embedding.length * 4;
+                    withFullPrecision.add(chunk.id);
+                }
+            });
+
+            let quantizedBytes = 0;
+            let quantizedOverheadBytes = 0;
+            let storageSavedBytes = 0;
+            await this.db.quantizedVectors.each(row => {
+                const bytes = row.int8.byteLength + row.bits.byteLength + 4; // + float32 scale
+                quantizedBytes += bytes;
+                if (withFullPrecision.has(row.chunkId)) {
+                    quantizedOverheadBytes += bytes;
+                } else {
+                    storageSavedBytes += row.int8.length * 4 - bytes;
+                }
+            });
+
             return {
                 documents: docCount,
-                chunks: chunkCount
+                chunks: chunkCount,
+                embeddingBytes: fullPrecisionBytes + quantizedBytes,
+                fullPrecisionBytes,
+                quantizedBytes,
+                quantizedOverheadBytes,
+                storageSavedBytes
             };
         } catch (error) {
             console.error('Error getting database stats:', error);
@@ -153,10 +1034,30 @@ class DocumentDatabase {
         }
     }
 
-    async clearAllData() {
+    // Documents, everything derived from them, and collections. Search history,
+    // threads and the upload queue stay (a library restore replaces only this part).
+    async clearLibrary() {
         try {
             await this.db.chunks.clear();
+            await this.db.quantizedVectors.clear();
             await this.db.documents.clear();
+            await this.db.collections.clear();
+            await this.db.documentPages.clear();
+            await this.db.documentFiles.clear();
+            await this.annIndex.clear();
+            await this.keywordIndex.clear();
+        } catch (error) {
+            console.error('Error clearing library:', error);
+            throw error;
+        }
+    }
+
+    async clearAllData() {
+        try {
+            await this.clearLibrary();
+            await this.db.uploadQueue.clear();
+            await this.db.searchHistory.clear();
+            await this.db.threads.clear();
         } catch (error) {
             console.error('Error clearing database:', error);
             throw error;
@@ -1,57 +1,368 @@
 // js/embeddings.js
+const SETTINGS_KEY = 'localFilesQA.embedding';
+const TRANSFORMERS_URL = 'https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.2';
+const REMOTE_MODEL_HOST = 'https://huggingface.co/';
+
+// Files transformers.js fetches for a feature-extraction model (quantized weights)
+export const MODEL_FILES = ['config.json', 'tokenizer.json', 'tokenizer_config.json', 'onnx/model_quantized.onnx'];
+
+// Local model folders resolve against the app root, from the page and the worker alike
+export function resolveModelPath(path) {
+    return new URL(path || 'models/', new URL('../', import.meta.url)).href;
+}
+
+// Models the transformers.js backend can load. Some were trained with instruction
+// prefixes and only retrieve well when queries and passages carry them.
+export const EMBEDDING_MODELS = {
+    'Xenova/all-MiniLM-L6-v2': {
+        label: 'MiniLM L6 (English, fastest)',
+        dimension: 384,
+        maxSequenceLength: 256,
+        pooling: 'mean',
+        queryPrefix: '',
+        passagePrefix: ''
+    },
+    'Xenova/bge-small-en-v1.5': {
+        label: 'BGE small (English)',
+        dimension: 384,
+        maxSequenceLength: 512,
+        pooling: 'cls',
+        queryPrefix: 'Represent this sentence for searching relevant passages: ',
+        passagePrefix: ''
+    },
+    'Xenova/e5-small-v2': {
+        label: 'E5 small (English)',
+        dimension: 384,
+        maxSequenceLength: 512,
+        pooling: 'mean',
+        queryPrefix: 'query: ',
+        passagePrefix: 'passage: '
+    },
+    'Xenova/paraphrase-multilingual-MiniLM-L12-v2': {
+        label: 'Multilingual MiniLM L12 (50+ languages)',
+        dimension: 384,
+        maxSequenceLength: 128,
+        pooling: 'mean',
+        queryPrefix: '',
+        passagePrefix: ''
+    }
+};
+
+export const EMBEDDING_BACKENDS = {
+    transformers: 'In-browser model (transformers.js)',
+    http: 'HTTP /embeddings endpoint',
+    hashing: 'Hashing (offline, no model)'
+};
+
+function normalize(vector) {
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+    norm = Math.sqrt(norm) || 1;
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+    return vector;
+}
+
+// Every backend exposes: id, dimension (null until known), maxSequenceLength,
+// queryPrefix, passagePrefix, tokenizer (or null), load(progressCallback) and
+// embed(texts) returning one unit-length Float32Array per text.
+
+// transformers.js feature-extraction pipeline running in the browser. Weights come
+// from the Hugging Face hub, or with modelSource 'local' only from localModelPath
+// (a folder next to index.html, or files imported into the browser cache).
+class TransformersBackend {
+    constructor({ model, modelSource = 'remote', localModelPath = 'models/' }) {
+        const spec = EMBEDDING_MODELS[model] || EMBEDDING_MODELS['Xenova/all-MiniLM-L6-v2'];
+        this.id = EMBEDDING_MODELS[model] ? model : 'Xenova/all-MiniLM-L6-v2';
+        this.dimension = spec.dimension;
+        this.maxSequenceLength = spec.maxSequenceLength;
+        this.pooling = spec.pooling;
+        this.queryPrefix = spec.queryPrefix;
+        this.passagePrefix = spec.passagePrefix;
+        this.localModelPath = modelSource === 'local' ? resolveModelPath(localModelPath) : null;
+        this.pipeline = null;
+        this.tokenizer = null;
+    }
+
+    // URLs of the model files, where transformers.js will look for them
+    fileUrls() {
+        const base = this.localModelPath || REMOTE_MODEL_HOST;
+        const folder = this.localModelPath ? `${this.id}/` : `${this.id}/resolve/main/`;
+        return MODEL_FILES.map(file => new URL(folder + file, base).href);
+    }
+
+    async load(progressCallback) {
+        // Dynamic import of transformers.js
+        const { pipeline, env } = await import(TRANSFORMERS_URL);
+
+        if (this.localModelPath) {
+            env.localModelPath = this.localModelPath;
+            env.allowLocalModels = true;
+            env.allowRemoteModels = false;
+        } else {
+            env.allowLocalModels = false;
+            env.allowRemoteModels = true;
+        }
+
+        progressCallback?.(30, 'Initializing model...');
+
+        // Create feature extraction pipeline
+        this.pipeline = await pipeline('feature-extraction', this.id, {
+            progress_callback: (progress) => {
+                const percent = 30 + (progress.progress || 0) * 50; // 30-80%
+                progressCallback?.(percent, `Loading model: ${progress.status || 'Processing...'}`);
+            }
+        });
+        this.tokenizer = this.pipeline.tokenizer;
+    }
+
+    async embed(texts) {
+        const output = await this.pipeline(texts, {
+            pooling: this.pooling,
+            normalize: true
+        });
+
+        // The model, not the table above, has the final word on the dimension
+        this.dimension = output.dims[output.dims.length - 1];
+
+        // Copy each row into its own Float32Array for efficient storage
+        return texts.map((_, i) => output.data.slice(i * this.dimension, (i + 1) * this.dimension));
+    }
+}
+
+// OpenAI-compatible /embeddings endpoint (Ollama, llama.cpp server, LM Studio, ...)
+class HttpEmbeddingBackend {
+    constructor({ endpoint, httpModel, apiKey, queryPrefix = '', passagePrefix = '' }) {
+        this.endpoint = (endpoint || '').replace(/\/+$/, '');
+        this.model = httpModel || 'nomic-embed-text';
+        this.apiKey = apiKey || '';
+        this.id = `http:${this.model}`;
+        this.dimension = null;          // learned from the first response
+        this.maxSequenceLength = null;  // the server truncates on its own
+        this.queryPrefix = queryPrefix;
+        this.passagePrefix = passagePrefix;
+        this.tokenizer = null;
+    }
+
+    async load(progressCallback) {
+        if (!this.endpoint) {
+            throw new Error('No embedding endpoint configured');
+        }
+        progressCallback?.(50, `Connecting to ${this.endpoint}...`);
+        await this.embed(['dimension probe']);
+    }
+
+    async embed(texts) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await fetch(`${this.endpoint}/embeddings`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ model: this.model, input: texts })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Embedding endpoint returned ${response.status} ${response.statusText}`);
+        }
+
+        // OpenAI shape is { data: [{ embedding, index }] }; Ollama's native API returns { embeddings }
+        const data = await response.json();
+        const rows = data.data
+            ? [...data.data].sort((a, b) => (a.index ?? 0) - (b.index ?? 0)).map(item => item.embedding)
+            : data.embeddings;
+        if (!Array.isArray(rows) || rows.length !== texts.length) {
+            throw new Error('Embedding endpoint returned an unexpected response');
+        }
+
+        const vectors = rows.map(row => normalize(Float32Array.from(row)));
+        this.dimension = vectors[0].length;
+        return vectors;
+    }
+}
+
+// Feature hashing of words and character trigrams into a fixed-size signed vector.
+// Deterministic and dependency-free: good for offline use and tests, weak semantically.
+class HashingBackend {
+    constructor({ hashingDimension = 512 }) {
+        this.dimension = hashingDimension;
+        this.id = 'hashing-v1';
+        this.maxSequenceLength = null;
+        this.queryPrefix = '';
+        this.passagePrefix = '';
+        this.tokenizer = null;
+    }
+
+    async load() {}
+
+    // 32-bit FNV-1a
+    hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    add(vector, feature, weight) {
+        const hash = this.hash(feature);
+        vector[hash % this.dimension] += (hash & 0x80000000) ? -weight : weight;
+    }
+
+    async embed(texts) {
+        return texts.map(text => {
+            const vector = new Float32Array(this.dimension);
+            const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+            words.forEach(word => {
+                this.add(vector, `w:${word}`, 1);
+                const padded = `#${word}#`;
+                for (let i = 0; i + 3 <= padded.length; i++) {
+                    this.add(vector, `c:${padded.slice(i, i + 3)}`, 0.5);
+                }
+            });
+            return normalize(vector);
+        });
+    }
+}
+
+const BACKEND_CLASSES = {
+    transformers: TransformersBackend,
+    http: HttpEmbeddingBackend,
+    hashing: HashingBackend
+};
+
+// Settings that pick the backend; changing any of them means loading a new one
+const BACKEND_KEYS = ['backend', 'model', 'modelSource', 'localModelPath', 'endpoint', 'httpModel', 'apiKey', 'hashingDimension'];
+
 class EmbeddingGenerator {
     constructor() {
-        this.model = null;
-        this.isInitialized = false;
-        this.modelName = 'Xenova/all-MiniLM-L6-v2';
+        this.backends = new Map();          // settings key -> backend, so switching back reuses a loaded model
+        this.loadedBackends = new WeakSet();
+        this.loading = new Map();           // backend -> load in progress
+        this.windowStride = 192;       // tokens between sliding window starts for long texts
+        this.settings = this.loadSettings();
+        this.backend = this.backendFor(this.settings);
+    }
+
+    loadSettings() {
+        const defaults = {
+            batchSize: 16,
+            backend: 'transformers',
+            model: 'Xenova/all-MiniLM-L6-v2',
+            modelSource: 'remote',
+            localModelPath: 'models/',
+            endpoint: 'http://localhost:11434/v1',
+            httpModel: 'nomic-embed-text',
+            apiKey: '',
+            hashingDimension: 512
+        };
+        // Inside the ingest worker the settings arrive with each request
+        if (typeof localStorage === 'undefined') return defaults;
+
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null') };
+        } catch (error) {
+            console.error('Error loading embedding settings:', error);
+            return defaults;
+        }
+    }
+
+    saveSettings(settings) {
+        this.configure(settings);
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+        return this.settings;
+    }
+
+    // Make the backend for these settings current; one created earlier is reused as is
+    configure(settings = {}) {
+        this.settings = { ...this.settings, ...settings };
+        this.backend = this.backendFor(this.settings);
+    }
+
+    // One backend per combination of BACKEND_KEYS values
+    backendFor(settings) {
+        const key = JSON.stringify(BACKEND_KEYS.map(name => settings[name]));
+        if (!this.backends.has(key)) {
+            const Backend = BACKEND_CLASSES[settings.backend] || TransformersBackend;
+            this.backends.set(key, new Backend(settings));
+        }
+        return this.backends.get(key);
+    }
+
+    get isInitialized() {
+        return this.loadedBackends.has(this.backend);
+    }
+
+    get modelName() {
+        return this.backend.id;
+    }
+
+    get dimension() {
+        return this.backend.dimension;
     }
 
-    async initialize(progressCallback) {
-        if (this.isInitialized) return;
+    get maxSequenceLength() {
+        return this.backend.maxSequenceLength;
+    }
+
+    // Model files that must be cached for offline use (none for HTTP and hashing)
+    requiredFileUrls() {
+        return this.backend.fileUrls?.() || [];
+    }
+
+    // Load a backend (the current one by default) once; concurrent callers share the load.
+    // Returns the backend so callers can keep using it while settings change.
+    async initialize(progressCallback, backend = this.backend) {
+        if (this.loadedBackends.has(backend)) return backend;
 
+        if (!this.loading.has(backend)) {
+            this.loading.set(backend, this.loadBackend(backend, progressCallback)
+                .finally(() => this.loading.delete(backend)));
+        }
+        await this.loading.get(backend);
+        return backend;
+    }
+
+    async loadBackend(backend, progressCallback) {
         try {
             progressCallback?.(0, 'Loading embedding model...');
-            
-            // Dynamic import of transformers.js
-            const { pipeline } = await import('https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.2');
-            
-            progressCallback?.(30, 'Initializing model...');
-            
-            // Create feature extraction pipeline
-            this.model = await pipeline('feature-extraction', this.modelName, {
-                progress_callback: (progress) => {
-                    const percent = 30 + (progress.progress || 0) * 50; // 30-80%
-                    progressCallback?.(percent, `Loading model: ${progress.status || 'Processing...'}`);
-                }
-            });
+            await backend.load(progressCallback);
+
+            // One tiny call reports the real output dimension for the fingerprint
+            await this.embedTexts(['dimension probe'], backend);
 
-            this.isInitialized = true;
+            this.loadedBackends.add(backend);
             progressCallback?.(90, 'Model ready!');
 
         } catch (error) {
             console.error('Error initializing embedding model:', error);
-            throw new Error('Failed to load embedding model. Please check your internet connection.');
+            throw new Error(backend instanceof HttpEmbeddingBackend
+                ? `Failed to reach the embedding endpoint: ${error.message}`
+                : 'Failed to load embedding model. Please check your internet connection.');
         }
     }
 
-    async generateEmbedding(text) {
-        if (!this.isInitialized) {
+    // Identifies vectors produced by a model; stored with every document and chunk
+    fingerprint(backend = this.backend) {
+        return { model: backend.id, dimension: backend.dimension };
+    }
+
+    // Embed a search query (with the model's query prefix)
+    async generateEmbedding(text, backend = this.backend) {
+        if (!this.loadedBackends.has(backend)) {
             throw new Error('Embedding model not initialized');
         }
 
         try {
-            // Clean and truncate text if needed
-            const cleanText = text.substring(0, 512); // Limit to ~512 tokens
-            
-            // Generate embedding
-            const output = await this.model(cleanText, {
-                pooling: 'mean',
-                normalize: true
-            });
-
-            // Convert to Float32Array for efficient storage
-            const embedding = new Float32Array(output.data);
-            return embedding;
+            const { batchSize } = this.settings;
+            const windows = this.splitIntoWindows(text, backend.queryPrefix, backend);
+            const vectors = [];
+            for (let i = 0; i < windows.length; i += batchSize) {
+                vectors.push(...await this.embedTexts(windows.slice(i, i + batchSize), backend));
+            }
+            return this.poolWindows(vectors);
 
         } catch (error) {
             console.error('Error generating embedding:', error);
@@ -59,26 +370,119 @@ class EmbeddingGenerator {
         }
     }
 
-    async generateEmbeddingsBatch(chunks, progressCallback) {
-        const embeddings = [];
+    // Run one backend call over several texts; returns one normalized vector per text
+    async embedTexts(texts, backend = this.backend) {
+        return backend.embed(texts);
+    }
+
+    // Texts longer than the model context are cut into overlapping token windows
+    // (decoded back to text) so no part of the chunk is silently dropped. The prefix
+    // is prepended to every window and its tokens count against the context.
+    splitIntoWindows(text, prefix = '', backend = this.backend) {
+        const { tokenizer, maxSequenceLength } = backend;
+        if (!tokenizer || !maxSequenceLength) return [prefix + text];
+
+        const prefixTokens = prefix ? tokenizer.encode(prefix, null, { add_special_tokens: false }).length : 0;
+        const maxContentTokens = maxSequenceLength - 2 - prefixTokens; // room for [CLS] and [SEP]
+
+        const ids = tokenizer.encode(text, null, { add_special_tokens: false });
+        if (ids.length <= maxContentTokens) return [prefix + text];
+
+        const stride = Math.min(this.windowStride, maxContentTokens);
+        const windows = [];
+        for (let start = 0; start < ids.length; start += stride) {
+            const windowIds = ids.slice(start, start + maxContentTokens);
+            windows.push(prefix + tokenizer.decode(windowIds, { skip_special_tokens: true }));
+            if (start + maxContentTokens >= ids.length) break;
+        }
+        return windows;
+    }
+
+    // Mean-pool window vectors and re-normalize to unit length
+    poolWindows(vectors) {
+        if (vectors.length === 1) return vectors[0];
+
+        const pooled = new Float32Array(vectors[0].length);
+        vectors.forEach(vector => {
+            for (let i = 0; i < pooled.length; i++) pooled[i] += vector[i];
+        });
+
+        return normalize(pooled);
+    }
+
+    // Count tokens with the model's own tokenizer (special tokens excluded).
+    // Without one (model not loaded, or a backend that has none) we fall back
+    // to a rough words-based estimate.
+    countTokens(text) {
+        if (this.backend.tokenizer) {
+            return this.backend.tokenizer.encode(text, null, { add_special_tokens: false }).length;
+        }
+        const words = text.split(/\s+/).filter(word => word.length > 0).length;
+        return Math.ceil(words * 1.3);
+    }
+
+    tokenizerName() {
+        return this.backend.tokenizer ? this.modelName : 'word-estimate';
+    }
+
+    // Embed document chunks (with the model's passage prefix). progressCallback gets
+    // the share of this call done (0-100). Throws when a chunk cannot be embedded.
+    // The whole call uses the backend current when it starts, even if another request
+    // switches settings while it yields between batches.
+    async generateEmbeddingsBatch(chunks, progressCallback, { batchSize = this.settings.batchSize, backend = this.backend } = {}) {
         const total = chunks.length;
+        const windowsByChunk = chunks.map(chunk => this.splitIntoWindows(chunk.text, backend.passagePrefix, backend));
+        const vectorsByChunk = chunks.map(() => []);
+
+        // Flatten every window of every chunk so each model call gets a full batch
+        const items = windowsByChunk.flatMap((windows, chunkIndex) =>
+            windows.map(text => ({ chunkIndex, text })));
+
+        const startTime = performance.now();
+
+        for (let i = 0; i < items.length; i += batchSize) {
+            const batch = items.slice(i, i + batchSize);
+            let vectors;
 
-        for (let i = 0; i < total; i++) {
             try {
-                const embedding = await this.generateEmbedding(chunks[i].text);
-                embeddings.push(embedding);
-                
-                const progress = 60 + ((i + 1) / total) * 30; // 60-90%
-                progressCallback?.(progress, `Generating embeddings: ${i + 1}/${total}`);
-                
+                vectors = await this.embedTexts(batch.map(item => item.text), backend);
             } catch (error) {
-                console.error(`Error generating embedding for chunk ${i}:`, error);
-                // Use zero vector as fallback
-                embeddings.push(new Float32Array(384)); // all-MiniLM-L6-v2 dimension
+                console.error(`Error embedding batch at item ${i}, retrying one by one:`, error);
+                vectors = await this.embedItemsIndividually(batch, backend);
             }
+
+            batch.forEach((item, j) => vectorsByChunk[item.chunkIndex].push(vectors[j]));
+
+            const done = Math.min(total, batch[batch.length - 1].chunkIndex + 1);
+            const seconds = (performance.now() - startTime) / 1000;
+            const throughput = seconds > 0 ? done / seconds : 0;
+            const progress = (Math.min(i + batchSize, items.length) / items.length) * 100;
+            progressCallback?.(progress, `Generating embeddings: ${done}/${total} (${throughput.toFixed(1)} chunks/sec)`);
+
+            // Yield so queued query embeddings are answered between batches
+            await new Promise(resolve => setTimeout(resolve, 0));
         }
 
-        return embeddings;
+        return vectorsByChunk.map((vectors, index) => {
+            // A zero vector would be stored as if it were real and never match anything
+            if (vectors.some(vector => vector === null)) {
+                throw new Error(`Could not generate an embedding for chunk ${index + 1} of ${total}`);
+            }
+            return this.poolWindows(vectors);
+        });
+    }
+
+    async embedItemsIndividually(items, backend = this.backend) {
+        const vectors = [];
+        for (const item of items) {
+            try {
+                vectors.push((await this.embedTexts([item.text], backend))[0]);
+            } catch (error) {
+                console.error(`Error generating embedding for chunk ${item.chunkIndex}:`, error);
+                vectors.push(null);
+            }
+        }
+        return vectors;
     }
 
     // Utility function for cosine similarity
@@ -0,0 +1,122 @@
+// js/extractiveQA.js
+import { escapeHtml, formatChunkLocation } from './utils.js';
+
+class ExtractiveQA {
+    constructor() {
+        this.model = null;
+        this.isInitialized = false;
+        this.modelName = 'Xenova/distilbert-base-cased-distilled-squad';
+        this.maxChunks = 3;          // top retrieved chunks to read
+        this.windowSize = 200;       // words per reading window (model context is ~384 tokens)
+        this.windowOverlap = 50;
+        this.minConfidence = 0.25;   // below this we fall back to plain results
+    }
+
+    async initialize(progressCallback) {
+        if (this.isInitialized) return;
+
+        try {
+            progressCallback?.(0, 'Loading question answering model...');
+
+            // Dynamic import of transformers.js
+            const { pipeline } = await import('https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.2');
+
+            progressCallback?.(30, 'Initializing model...');
+
+            this.model = await pipeline('question-answering', this.modelName, {
+                progress_callback: (progress) => {
+                    const percent = 30 + (progress.progress || 0) * 0.6; // 30-90%
+                    progressCallback?.(percent, `Loading QA model: ${progress.status || 'Processing...'}`);
+                }
+            });
+
+            this.isInitialized = true;
+            progressCallback?.(100, 'QA model ready!');
+
+        } catch (error) {
+            console.error('Error initializing QA model:', error);
+            throw new Error('Failed to load question answering model. Please check your internet connection.');
+        }
+    }
+
+    // Split a chunk into overlapping word windows, remembering where each starts in the chunk
+    splitIntoWindows(text) {
+        const words = [...text.matchAll(/\S+/g)];
+        const windows = [];
+
+        for (let start = 0; start < words.length; start += this.windowSize - this.windowOverlap) {
+            const end = Math.min(start + this.windowSize, words.length);
+            const charStart = words[start].index;
+            const charEnd = words[end - 1].index + words[end - 1][0].length;
+            windows.push({ text: text.slice(charStart, charEnd), offset: charStart });
+            if (end >= words.length) break;
+        }
+
+        return windows;
+    }
+
+    locateSpan(text, answer, offset) {
+        let index = text.indexOf(answer);
+        if (index === -1) {
+            index = text.toLowerCase().indexOf(answer.toLowerCase());
+        }
+        return index === -1 ? null : { start: offset + index, end: offset + index + answer.length };
+    }
+
+    // Run the QA model over the top retrieved chunks and keep the best-scoring span
+    async findAnswer(question, results) {
+        if (!this.isInitialized) {
+            throw new Error('QA model not initialized');
+        }
+
+        let best = null;
+
+        for (const result of results.slice(0, this.maxChunks)) {
+            for (const window of this.splitIntoWindows(result.chunk.text)) {
+                try {
+                    const output = await this.model(question, window.text);
+                    const answer = output?.answer?.trim();
+                    if (!answer || (best && output.score <= best.score)) continue;
+
+                    const span = this.locateSpan(window.text, answer, window.offset);
+                    if (span) {
+                        best = { answer, score: output.score, result, ...span };
+                    }
+                } catch (error) {
+                    console.error('Error running QA on chunk:', result.chunk.id, error);
+                }
+            }
+        }
+
+        return {
+            answer: best,
+            isConfident: !!best && best.score >= this.minConfidence
+        };
+    }
+
+    // Render the answer with the span highlighted inside a window of its chunk
+    formatAnswer({ answer, score, result, start, end }, contextChars = 300) {
+        const text = result.chunk.text;
+        const from = Math.max(0, start - contextChars);
+        const to = Math.min(text.length, end + contextChars);
+
+        const excerpt = (from > 0 ? '...' : '') +
+            escapeHtml(text.slice(from, start)) +
+            `<mark class="answer-span">${escapeHtml(text.slice(start, end))}</mark>` +
+            escapeHtml(text.slice(end, to)) +
+            (to < text.length ? '...' : '');
+
+        return `
+            <div class="answer-block">
+                <div class="answer-label">Answer • Confidence ${Math.round(score * 100)}%</div>
+                <div class="answer-text extracted">${escapeHtml(answer)}</div>
+                <div class="result-score">From ${escapeHtml(result.documentName)} • ${formatChunkLocation(result.chunk)}</div>
+                <div class="result-text">${excerpt}</div>
+            </div>
+        `;
+    }
+}
+
+// Export the extractive QA instance
+export const extractiveQA = new ExtractiveQA();
+window.extractiveQA = extractiveQA;
@@ -0,0 +1,221 @@
+// js/extractors.js - Text extractors for each supported file format
+import { pdfProcessor } from './pdfProcessor.js';
+
+// Every extractor resolves to { text, blocks, pages } where blocks keeps the document structure
+// as [{ type: 'heading', level, text, start, end, page? } | { type: 'paragraph', ... }], text is
+// the blocks joined with blank lines, ready for chunking, and pages lists the character range
+// of each page in text (null for formats without pages).
+// Extractors flagged needsDom use DOMParser and must run on the main thread; the rest
+// run inside the ingest worker.
+function buildResult(blocks) {
+    const cleanBlocks = blocks
+        .map(block => ({ ...block, text: block.text.replace(/[ \t]+/g, ' ').trim() }))
+        .filter(block => block.text.length > 0);
+
+    let offset = 0;
+    cleanBlocks.forEach(block => {
+        block.start = offset;
+        block.end = offset + block.text.length;
+        offset = block.end + 2; // blank line separator
+    });
+
+    const pages = [];
+    cleanBlocks.forEach(block => {
+        if (block.page == null) return;
+        const lastPage = pages[pages.length - 1];
+        if (lastPage && lastPage.pageNumber === block.page) {
+            lastPage.end = block.end;
+        } else {
+            pages.push({ pageNumber: block.page, start: block.start, end: block.end });
+        }
+    });
+
+    return {
+        text: cleanBlocks.map(block => block.text).join('\n\n'),
+        blocks: cleanBlocks,
+        pages: pages.length > 0 ? pages : null
+    };
+}
+
+function splitParagraphs(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .split(/\n\s*\n/)
+        .map(paragraph => ({ type: 'paragraph', text: paragraph.replace(/\n/g, ' ') }));
+}
+
+const BLOCK_SELECTOR = 'h1, h2, h3, h4, h5, h6, p, li, pre, blockquote, td, th, dt, dd, figcaption';
+
+function blocksFromHtml(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    doc.querySelectorAll('script, style, noscript, template, svg, nav, footer').forEach(el => el.remove());
+
+    const blocks = [];
+    doc.body?.querySelectorAll(BLOCK_SELECTOR).forEach(element => {
+        // Nested block elements (e.g. <p> inside <li>) are picked up on their own
+        if (element.querySelector(BLOCK_SELECTOR)) return;
+
+        const headingMatch = element.tagName.match(/^H(\d)$/);
+        blocks.push(headingMatch
+            ? { type: 'heading', level: parseInt(headingMatch[1]), text: element.textContent }
+            : { type: 'paragraph', text: element.textContent });
+    });
+
+    // Pages without semantic markup: fall back to the visible text
+    if (blocks.length === 0 && doc.body) {
+        return splitParagraphs(doc.body.innerText || doc.body.textContent || '');
+    }
+
+    return blocks;
+}
+
+function blocksFromMarkdown(markdown) {
+    const blocks = [];
+    let paragraph = [];
+    let inCodeFence = false;
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            blocks.push({ type: 'paragraph', text: paragraph.join(inCodeFence ? '\n' : ' ') });
+            paragraph = [];
+        }
+    };
+
+    markdown.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+        if (/^\s*(```|~~~)/.test(line)) {
+            flushParagraph();
+            inCodeFence = !inCodeFence;
+            return;
+        }
+
+        if (inCodeFence) {
+            paragraph.push(line);
+            return;
+        }
+
+        const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            flushParagraph();
+            blocks.push({ type: 'heading', level: heading[1].length, text: stripInlineMarkdown(heading[2]) });
+        } else if (line.trim() === '' || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flushParagraph();
+        } else {
+            paragraph.push(stripInlineMarkdown(line.replace(/^\s*(>\s*|[-*+]\s+|\d+[.)]\s+)/, '')));
+        }
+    });
+    flushParagraph();
+
+    return blocks;
+}
+
+function stripInlineMarkdown(text) {
+    return text
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')  // images
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')   // links
+        .replace(/(\*\*|__)(.*?)\1/g, '$2')        // bold
+        .replace(/(^|\W)([*_])(\S(?:.*?\S)?)\2(?=\W|$)/g, '$1$3') // italics
+        .replace(/`([^`]+)`/g, '$1');              // inline code
+}
+
+const builtInExtractors = [
+    {
+        name: 'pdf',
+        label: 'PDF',
+        mimeTypes: ['application/pdf'],
+        extensions: ['pdf'],
+        async extract(file, progressCallback) {
+            const pages = await pdfProcessor.extractPagesFromPDF(file, progressCallback);
+            return buildResult(pages.flatMap(page => page.blocks.map(block => ({ ...block, page: page.pageNumber }))));
+        }
+    },
+    {
+        name: 'docx',
+        label: 'Word',
+        mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+        extensions: ['docx'],
+        needsDom: true,
+        async extract(file, progressCallback) {
+            if (typeof mammoth === 'undefined') {
+                throw new Error('DOCX support is unavailable: the mammoth.js library failed to load.');
+            }
+            progressCallback?.(10, 'Reading Word document...');
+            const { value: html } = await mammoth.convertToHtml({ arrayBuffer: await file.arrayBuffer() });
+            progressCallback?.(50, 'Extracted text from Word document');
+            return buildResult(blocksFromHtml(html));
+        }
+    },
+    {
+        name: 'markdown',
+        label: 'Markdown',
+        mimeTypes: ['text/markdown', 'text/x-markdown'],
+        extensions: ['md', 'markdown'],
+        async extract(file, progressCallback) {
+            const blocks = blocksFromMarkdown(await file.text());
+            progressCallback?.(50, 'Extracted text from Markdown');
+            return buildResult(blocks);
+        }
+    },
+    {
+        name: 'html',
+        label: 'HTML',
+        mimeTypes: ['text/html', 'application/xhtml+xml'],
+        extensions: ['html', 'htm', 'xhtml'],
+        needsDom: true,
+        async extract(file, progressCallback) {
+            const blocks = blocksFromHtml(await file.text());
+            progressCallback?.(50, 'Extracted text from HTML page');
+            return buildResult(blocks);
+        }
+    },
+    {
+        name: 'text',
+        label: 'Text',
+        mimeTypes: ['text/plain'],
+        extensions: ['txt', 'text', 'log', 'csv'],
+        async extract(file, progressCallback) {
+            const blocks = splitParagraphs(await file.text());
+            progressCallback?.(50, 'Extracted text');
+            return buildResult(blocks);
+        }
+    }
+];
+
+class ExtractorRegistry {
+    constructor() {
+        this.extractors = [];
+        builtInExtractors.forEach(extractor => this.register(extractor));
+    }
+
+    register(extractor) {
+        if (!extractor.name || typeof extractor.extract !== 'function') {
+            throw new Error('Extractors need a name and an extract(file) function');
+        }
+        this.extractors = this.extractors.filter(existing => existing.name !== extractor.name);
+        this.extractors.push(extractor);
+    }
+
+    getExtractorByName(name) {
+        return this.extractors.find(extractor => extractor.name === name) || null;
+    }
+
+    // Match on MIME type first, then on file extension (browsers often leave type empty)
+    getExtractor(file) {
+        const byMime = file.type && this.extractors.find(extractor => extractor.mimeTypes.includes(file.type));
+        if (byMime) return byMime;
+
+        const extension = (file.name.split('.').pop() || '').toLowerCase();
+        return this.extractors.find(extractor => extractor.extensions.includes(extension)) || null;
+    }
+
+    getAcceptAttribute() {
+        return this.extractors.flatMap(extractor => extractor.extensions.map(ext => `.${ext}`)).join(',');
+    }
+
+    getSupportedFormats() {
+        return this.extractors.map(extractor => extractor.label).join(', ');
+    }
+}
+
+// Export the registry instance
+export const extractorRegistry = new ExtractorRegistry();
+window.extractorRegistry = extractorRegistry;
@@ -0,0 +1,108 @@
+// js/ingestPipeline.js - Extraction, chunking and embedding, driven by messages
+//
+// Protocol (requests carry an id that every reply echoes):
+//   -> { id, type: 'init', embeddingSettings }                   load the embedding model
+//   -> { id, type: 'embed', text, embeddingSettings }            embed a single query
+//   -> { id, type: 'embedBatch', texts, embeddingSettings }      embed chunk texts, for ingest
+//                                                                 and re-embedding (progress)
+//   -> { id, type: 'extract', file, extractorName, ocrSettings }  extract text and structure
+//   -> { id, type: 'chunk', documentId, extracted,               split extracted text into
+//        chunkingConfig, embeddingSettings }                      chunks (no embeddings yet)
+//   <- { id, type: 'progress', progress, message }
+//   <- { id, type: 'result', result }
+//   <- { id, type: 'error', error }
+//
+// Embedding settings travel with each request. Each settings combination keeps its own
+// backend, loaded before use, and a request holds on to its backend while it awaits, so
+// a query with other settings never changes the model an ingest batch is embedded with.
+import { pdfProcessor } from './pdfProcessor.js';
+import { embeddingGenerator } from './embeddings.js';
+import { extractorRegistry } from './extractors.js';
+import { ocrEngine } from './ocr.js';
+
+export function createIngestHandler(post) {
+    const progressFor = (id) => (progress, message) => {
+        post({ id, type: 'progress', progress, message });
+    };
+
+    // Load the backend for these settings, then make it current. The returned backend
+    // is what the request uses after any further await.
+    const useEmbeddingSettings = async (embeddingSettings = {}, progressCallback) => {
+        const backend = embeddingGenerator.backendFor({ ...embeddingGenerator.settings, ...embeddingSettings });
+        await embeddingGenerator.initialize(progressCallback, backend);
+        embeddingGenerator.configure(embeddingSettings);
+        return backend;
+    };
+
+    const handlers = {
+        async init({ id, embeddingSettings }) {
+            const backend = await useEmbeddingSettings(embeddingSettings, progressFor(id));
+            return { fingerprint: embeddingGenerator.fingerprint(backend) };
+        },
+
+        async embed({ text, embeddingSettings }) {
+            const backend = await useEmbeddingSettings(embeddingSettings);
+            const embedding = await embeddingGenerator.generateEmbedding(text, backend);
+            return { embedding };
+        },
+
+        async embedBatch({ id, texts, embeddingSettings }) {
+            const backend = await useEmbeddingSettings(embeddingSettings);
+            const embeddings = await embeddingGenerator.generateEmbeddingsBatch(
+                texts.map(text => ({ text })),
+                progressFor(id),
+                { backend }
+            );
+            return { embeddings, fingerprint: embeddingGenerator.fingerprint(backend) };
+        },
+
+        async extract({ id, file, extractorName, ocrSettings }) {
+            ocrEngine.configure(ocrSettings);
+            const extractor = extractorRegistry.getExtractorByName(extractorName);
+            if (!extractor) {
+                throw new Error(`No extractor registered for "${extractorName}"`);
+            }
+            return extractor.extract(file, progressFor(id));
+        },
+
+        // Chunk counts depend on the tokenizer, so the configured model's settings come along
+        // (chunking runs synchronously right after, so the current backend is this one)
+        async chunk({ documentId, extracted, chunkingConfig, embeddingSettings }) {
+            await useEmbeddingSettings(embeddingSettings);
+            if (!extracted.text || extracted.text.length < 10) {
+                throw new Error('Document appears to be empty or contains no readable text');
+            }
+
+            const { chunks, config } = pdfProcessor.chunkText(
+                extracted.text,
+                documentId,
+                extracted.pages,
+                extracted.blocks,
+                chunkingConfig
+            );
+            return {
+                chunks,
+                chunking: config,
+                stats: {
+                    totalWords: extracted.text.split(/\s+/).length,
+                    totalChunks: chunks.length
+                }
+            };
+        }
+    };
+
+    return async function handleMessage(message) {
+        const handler = handlers[message.type];
+
+        try {
+            if (!handler) {
+                throw new Error(`Unknown message type: ${message.type}`);
+            }
+            const result = await handler(message);
+            post({ id: message.id, type: 'result', result });
+        } catch (error) {
+            console.error(`Error handling ${message.type} message:`, error);
+            post({ id: message.id, type: 'error', error: error.message });
+        }
+    };
+}
@@ -0,0 +1,39 @@
+// js/ingestWorker.js - Web Worker that owns pdf.js parsing and the embedding model
+const PDFJS_URL = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js';
+const PDFJS_WORKER_URL = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+
+// The shared modules register debugging handles on window
+self.window = self;
+
+const ready = (async () => {
+    // pdf.js ships as a UMD bundle that attaches itself to globalThis.pdfjsLib
+    await import(PDFJS_URL);
+    pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+
+    const { createIngestHandler } = await import('./ingestPipeline.js');
+    return createIngestHandler(message => {
+        // Hand embedding buffers over instead of copying them
+        const transfer = message.type === 'result'
+            ? collectBuffers(message.result)
+            : [];
+        self.postMessage(message, transfer);
+    });
+})();
+
+function collectBuffers(result) {
+    if (result?.embedding) return [result.embedding.buffer];
+    if (result?.embeddings) return result.embeddings.map(embedding => embedding.buffer);
+    return (result?.chunks || [])
+        .map(chunk => chunk.embedding?.buffer)
+        .filter(Boolean);
+}
+
+self.addEventListener('message', async (event) => {
+    try {
+        const handleMessage = await ready;
+        handleMessage(event.data);
+    } catch (error) {
+        console.error('Ingest worker failed to start:', error);
+        self.postMessage({ id: event.data.id, type: 'error', error: `Worker failed to start: ${error.message}` });
+    }
+});
@@ -0,0 +1,156 @@
+// js/keywordIndex.js - BM25 inverted index persisted in IndexedDB
+//
+// postings holds one row per (term, chunk) with the term frequency, keywordDocs the
+// token length of each chunk, and keywordMeta the corpus totals BM25 needs.
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'into', 'is', 'it',
+    'of', 'on', 'or', 'such', 'that', 'the', 'their', 'then', 'there', 'these', 'they', 'this',
+    'to', 'was', 'will', 'with', 'what', 'which', 'who', 'how', 'when', 'where', 'why', 'does', 'do'
+]);
+
+/**
+ * Lowercased terms of a text. Codes such as "E-1042" or "v2.3.1" are kept whole
+ * and also split into their parts, so both the exact code and its pieces match.
+ */
+export function tokenize(text) {
+    const terms = [];
+    for (const match of text.toLowerCase().matchAll(/[\p{L}\p{N}]+(?:[-_./][\p{L}\p{N}]+)*/gu)) {
+        const term = match[0];
+        const parts = term.split(/[-_./]/);
+        if (parts.length > 1) {
+            terms.push(term);
+        }
+        parts.forEach(part => {
+            if (part.length > 1 && !STOPWORDS.has(part)) {
+                terms.push(part);
+            } else if (/^\d$/.test(part)) {
+                terms.push(part); // single digits matter in codes and versions
+            }
+        });
+    }
+    return terms;
+}
+
+// Rows to store for one chunk: its postings and its length
+export function buildKeywordEntries(chunkId, documentId, text) {
+    const terms = tokenize(text);
+    const frequencies = new Map();
+    terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+
+    return {
+        postings: [...frequencies].map(([term, tf]) => ({ term, chunkId, documentId, tf })),
+        doc: { chunkId, documentId, length: terms.length }
+    };
+}
+
+export class KeywordIndex {
+    constructor(db) {
+        this.db = db;
+        this.k1 = 1.2;
+        this.b = 0.75;
+    }
+
+    async getMeta() {
+        return (await this.db.keywordMeta.get('bm25')) || { key: 'bm25', totalChunks: 0, totalLength: 0 };
+    }
+
+    // chunks: [{ id, documentId, text }]
+    async addChunks(chunks) {
+        const postings = [];
+        const docs = [];
+        chunks.forEach(chunk => {
+            const entries = buildKeywordEntries(chunk.id, chunk.documentId, chunk.text);
+            postings.push(...entries.postings);
+            docs.push(entries.doc);
+        });
+
+        await this.db.transaction('rw', this.db.postings, this.db.keywordDocs, this.db.keywordMeta, async () => {
+            await this.db.postings.bulkAdd(postings);
+            await this.db.keywordDocs.bulkPut(docs);
+
+            const meta = await this.getMeta();
+            meta.totalChunks += docs.length;
+            meta.totalLength += docs.reduce((sum, doc) => sum + doc.length, 0);
+            await this.db.keywordMeta.put(meta);
+        });
+    }
+
+    async removeDocument(documentId) {
+        await this.db.transaction('rw', this.db.postings, this.db.keywordDocs, this.db.keywordMeta, async () => {
+            const docs = await this.db.keywordDocs.where('documentId').equals(documentId).toArray();
+            await this.db.postings.where('documentId').equals(documentId).delete();
+            await this.db.keywordDocs.where('documentId').equals(documentId).delete();
+
+            const meta = await this.getMeta();
+            meta.totalChunks = Math.max(0, meta.totalChunks - docs.length);
+            meta.totalLength = Math.max(0, meta.totalLength - docs.reduce((sum, doc) => sum + doc.length, 0));
+            await this.db.keywordMeta.put(meta);
+        });
+    }
+
+    // Indexed chunks in the given documents (all when documentIds is null)
+    async countChunks(documentIds = null) {
+        if (!documentIds) {
+            return (await this.getMeta()).totalChunks;
+        }
+        return this.db.keywordDocs.where('documentId').anyOf(documentIds).count();
+    }
+
+    async clear() {
+        await Promise.all([
+            this.db.postings.clear(),
+            this.db.keywordDocs.clear(),
+            this.db.keywordMeta.clear()
+        ]);
+    }
+
+    /**
+     * BM25 top-k for a query. documentIds optionally restricts the candidates,
+     * chunkIds (a Set) further limits them to particular chunks.
+     * Returns [{ id, score, matchedTerms }] sorted by score.
+     */
+    async search(queryText, k, documentIds = null, chunkIds = null) {
+        const terms = [...new Set(tokenize(queryText))];
+        if (terms.length === 0) return [];
+
+        const meta = await this.getMeta();
+        if (meta.totalChunks === 0) return [];
+
+        const N = meta.totalChunks;
+        const avgLength = meta.totalLength / N || 1;
+        const allowed = documentIds ? new Set(documentIds) : null;
+
+        const scores = new Map();
+        for (const term of terms) {
+            const postings = await this.db.postings.where('term').equals(term).toArray();
+            if (postings.length === 0) continue;
+
+            // df over the whole corpus keeps scores comparable across filters
+            const idf = Math.log(1 + (N - postings.length + 0.5) / (postings.length + 0.5));
+            postings.forEach(posting => {
+                if (allowed && !allowed.has(posting.documentId)) return;
+                if (chunkIds && !chunkIds.has(posting.chunkId)) return;
+                const entry = scores.get(posting.chunkId) || { id: posting.chunkId, tfs: [], matchedTerms: [] };
+                entry.tfs.push({ tf: posting.tf, idf });
+                entry.matchedTerms.push(term);
+                scores.set(posting.chunkId, entry);
+            });
+        }
+
+        if (scores.size === 0) return [];
+
+        const docs = await this.db.keywordDocs.bulkGet([...scores.keys()]);
+        const lengths = new Map(docs.filter(Boolean).map(doc => [doc.chunkId, doc.length]));
+
+        return [...scores.values()]
+            .map(entry => {
+                const length = lengths.get(entry.id) ?? avgLength;
+                const norm = this.k1 * (1 - this.b + this.b * length / avgLength);
+                const score = entry.tfs.reduce((sum, { tf, idf }) => sum + idf * (tf * (this.k1 + 1)) / (tf + norm), 0);
+                return { id: entry.id, score, matchedTerms: entry.matchedTerms };
+            })
+            .sort((a, b) => b.score - a.score)
+            .slice(0, k);
+    }
+}
@@ -0,0 +1,188 @@
+// js/migrations.js - Dexie schema versions and their upgrade functions
+//
+// Each entry becomes db.version(version).stores(stores).upgrade(upgrade). Dexie runs
+// every upgrade newer than the version on disk, in order, inside one transaction.
+// Add new entries at the end; never edit one that has shipped.
+import { quantizeEmbedding } from './quantization.js';
+import { buildKeywordEntries } from './keywordIndex.js';
+
+// What produced vectors stored before fingerprints existed
+export const LEGACY_EMBEDDING = { model: 'Xenova/all-MiniLM-L6-v2', dimension: 384 };
+export const LEGACY_CHUNKER = { strategy: 'words', maxTokens: 500, overlap: 50, tokenizer: null };
+
+// Compact form of { model, dimension } used to tag derived data such as the ANN graph
+export function fingerprintKey({ model, dimension }) {
+    return `${model}@${dimension}`;
+}
+
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Documents and embedded chunks',
+        stores: {
+            documents: '++id, filename, uploadDate, totalChunks, fileSize, status, processingProgress',
+            chunks: '++id, documentId, chunkIndex, text, embedding, tokenCount'
+        }
+    },
+    {
+        version: 2,
+        description: 'HNSW graph for approximate nearest neighbour search',
+        stores: {
+            annNodes: 'chunkId, documentId',
+            annMeta: 'key'
+        }
+    },
+    {
+        version: 3,
+        description: 'int8 + binary codes per chunk, back-filled from the stored embeddings',
+        stores: {
+            quantizedVectors: 'chunkId, documentId'
+        },
+        async upgrade(tx) {
+            const rows = [];
+            await tx.table('chunks').each(chunk => {
+                if (chunk.embedding) {
+                    rows.push(quantizeEmbedding(chunk.id, chunk.documentId, chunk.embedding));
+                }
+            });
+            await tx.table('quantizedVectors').bulkAdd(rows);
+        }
+    },
+    {
+        version: 4,
+        description: 'BM25 inverted index, back-filled from the stored chunk text',
+        stores: {
+            postings: '++id, term, chunkId, documentId',
+            keywordDocs: 'chunkId, documentId',
+            keywordMeta: 'key'
+        },
+        async upgrade(tx) {
+            const postings = [];
+            const docs = [];
+            await tx.table('chunks').each(chunk => {
+                const entries = buildKeywordEntries(chunk.id, chunk.documentId, chunk.text || '');
+                postings.push(...entries.postings);
+                docs.push(entries.doc);
+            });
+            await tx.table('postings').bulkAdd(postings);
+            await tx.table('keywordDocs').bulkAdd(docs);
+            await tx.table('keywordMeta').put({
+                key: 'bm25',
+                totalChunks: docs.length,
+                totalLength: docs.reduce((sum, doc) => sum + doc.length, 0)
+            });
+        }
+    },
+    {
+        version: 5,
+        description: 'Named collections of documents used as search scopes',
+        stores: {
+            collections: '++id, &name'
+        }
+    },
+    {
+        version: 6,
+        description: 'User-defined tags on documents (multi-entry index)',
+        stores: {
+            documents: '++id, filename, uploadDate, totalChunks, fileSize, status, processingProgress, *tags'
+        },
+        async upgrade(tx) {
+            await tx.table('documents').toCollection().modify(doc => {
+                doc.tags = doc.tags || [];
+            });
+        }
+    },
+    {
+        version: 7,
+        description: 'Embedding model, dimension and chunker config on every document and chunk',
+        stores: {
+            documents: '++id, filename, uploadDate, totalChunks, fileSize, status, processingProgress, *tags, embeddingModel',
+            chunks: '++id, documentId, chunkIndex, text, embedding, tokenCount, embeddingModel'
+        },
+        async upgrade(tx) {
+            // Everything stored so far came from the one model the app shipped with
+            const chunkers = new Map();
+            await tx.table('documents').toCollection().modify(doc => {
+                doc.embeddingModel = LEGACY_EMBEDDING.model;
+                doc.embeddingDimension = LEGACY_EMBEDDING.dimension;
+                doc.chunking = doc.chunking || LEGACY_CHUNKER;
+                chunkers.set(doc.id, doc.chunking);
+            });
+            await tx.table('chunks').toCollection().modify(chunk => {
+                chunk.embeddingModel = LEGACY_EMBEDDING.model;
+                chunk.embeddingDimension = chunk.embedding?.length || LEGACY_EMBEDDING.dimension;
+                chunk.chunker = chunkers.get(chunk.documentId) || LEGACY_CHUNKER;
+            });
+            await tx.table('annMeta').toCollection().modify(meta => {
+                meta.fingerprint = fingerprintKey(LEGACY_EMBEDDING);
+            });
+        }
+    },
+    {
+        version: 8,
+        description: 'Extracted text per page, checkpointed so interrupted processing can resume',
+        stores: {
+            documentPages: '[documentId+pageNumber], documentId'
+        }
+    },
+    {
+        version: 9,
+        description: 'Persistent upload queue holding the files still to be processed',
+        stores: {
+            uploadQueue: '++id, status, position'
+        }
+    },
+    {
+        version: 10,
+        description: 'SHA-256 of the uploaded file, to recognise re-uploads',
+        stores: {
+            documents: '++id, filename, uploadDate, totalChunks, fileSize, status, processingProgress, *tags, embeddingModel, contentHash'
+        }
+    },
+    {
+        version: 11,
+        description: 'Original uploaded files, kept for the document viewer',
+        stores: {
+            documentFiles: 'documentId'
+        }
+    },
+    {
+        version: 12,
+        description: 'Search history and pinned searches',
+        stores: {
+            searchHistory: '++id, key, timestamp'
+        }
+    },
+    {
+        version: 13,
+        description: 'Saved conversation threads',
+        stores: {
+            threads: '++id, updatedAt'
+        }
+    },
+    {
+        version: 14,
+        description: 'Chunk positions per document, so resuming reads index keys instead of rows',
+        stores: {
+            chunks: '++id, documentId, chunkIndex, text, embedding, tokenCount, embeddingModel, [documentId+chunkIndex]'
+        }
+    },
+    {
+        version: 15,
+        description: 'Chunk page spans per document, so page: filters read index keys instead of rows',
+        stores: {
+            chunks: '++id, documentId, chunkIndex, text, embedding, tokenCount, embeddingModel, [documentId+chunkIndex], [documentId+startPage], [documentId+endPage]'
+        }
+    }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export function applyMigrations(db) {
+    MIGRATIONS.forEach(({ version, stores, upgrade }) => {
+        const schema = db.version(version).stores(stores);
+        if (upgrade) {
+            schema.upgrade(upgrade);
+        }
+    });
+}
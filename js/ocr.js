@@ -0,0 +1,145 @@
+// js/ocr.js - Optical character recognition for PDF pages without a usable text layer
+//
+// Uses tesseract.js (WASM). The engine comes from the CDN; language data is read from
+// a folder next to index.html (ocr/ by default), e.g. ocr/eng.traineddata.gz, so scanned
+// documents can be processed without sending anything off the device. English data ships
+// in ocr/, so OCR is on by default wherever that folder is served.
+import { resolveModelPath } from './embeddings.js';
+
+const OCR_SETTINGS_KEY = 'localFilesQA.ocr';
+const TESSERACT_URL = 'https://cdn.jsdelivr.net/npm/tesseract.js@5.1.1/dist/tesseract.min.js';
+const TESSERACT_WORKER_URL = 'https://cdn.jsdelivr.net/npm/tesseract.js@5.1.1/dist/worker.min.js';
+const TESSERACT_CORE_URL = 'https://cdn.jsdelivr.net/npm/tesseract.js-core@5.1.1';
+
+class OcrEngine {
+    constructor() {
+        this.settings = this.loadSettings();
+        this.worker = null;
+        this.workerKey = null; // language + path the current worker was created with
+    }
+
+    // enabled: OCR pages whose text layer has fewer than minChars characters
+    // scale: render resolution relative to 72 dpi (2 ≈ 144 dpi)
+    loadSettings() {
+        const defaults = { enabled: true, language: 'eng', langPath: 'ocr/', minChars: 20, scale: 2 };
+
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem(OCR_SETTINGS_KEY) || 'null') };
+        } catch (error) {
+            console.error('Error loading OCR settings:', error);
+            return defaults;
+        }
+    }
+
+    saveSettings(settings) {
+        this.settings = { ...this.settings, ...settings };
+        localStorage.setItem(OCR_SETTINGS_KEY, JSON.stringify(this.settings));
+        return this.settings;
+    }
+
+    // Apply settings sent from the main thread (the worker has no localStorage)
+    configure(settings = {}) {
+        this.settings = { ...this.settings, ...settings };
+    }
+
+    // A page needs OCR when its text layer is (nearly) empty
+    needsOcr(pageText) {
+        return this.settings.enabled && pageText.replace(/\s/g, '').length < this.settings.minChars;
+    }
+
+    // Language files fetched for the configured languages, for offline checks
+    requiredFileUrls() {
+        if (!this.settings.enabled) return [];
+        const base = resolveModelPath(this.settings.langPath);
+        return this.settings.language.split('+').map(language => new URL(`${language}.traineddata.gz`, base).href);
+    }
+
+    // Until OCR is switched on or off in the settings, it stays on only while the
+    // language data is served (a copy deployed without ocr/ must not fail scans)
+    async applyDefaultAvailability() {
+        if (localStorage.getItem(OCR_SETTINGS_KEY) !== null || !this.settings.enabled) return;
+        if ((await this.findMissingLanguageData()).length > 0) {
+            console.warn('⚠️ OCR language data not found, OCR is off');
+            this.settings.enabled = false;
+        }
+    }
+
+    // Language files the configured folder does not serve; empty when OCR can run
+    async findMissingLanguageData() {
+        const checks = await Promise.all(this.requiredFileUrls().map(async url => {
+            try {
+                return (await fetch(url, { method: 'HEAD' })).ok ? null : url;
+            } catch (error) {
+                return url;
+            }
+        }));
+        return checks.filter(Boolean);
+    }
+
+    async getWorker() {
+        const key = `${this.settings.language}|${this.settings.langPath}`;
+        if (this.worker && this.workerKey === key) return this.worker;
+        await this.terminate();
+
+        if (typeof Tesseract === 'undefined') {
+            // UMD bundle: attaches itself to globalThis.Tesseract
+            await import(TESSERACT_URL);
+        }
+
+        console.log(`🔎 Loading OCR engine (${this.settings.language})...`);
+        this.worker = await Tesseract.createWorker(this.settings.language, 1, {
+            workerPath: TESSERACT_WORKER_URL,
+            corePath: TESSERACT_CORE_URL,
+            langPath: resolveModelPath(this.settings.langPath),
+            gzip: true
+        });
+        this.workerKey = key;
+        return this.worker;
+    }
+
+    /**
+     * Render a pdf.js page and recognise its text.
+     * Returns { text, confidence (0-1), paragraphs: [string] }.
+     */
+    async recognizePage(page) {
+        try {
+            const viewport = page.getViewport({ scale: this.settings.scale });
+            const canvas = new OffscreenCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+            const context = canvas.getContext('2d');
+            // Scans are often transparent images; OCR wants dark text on white
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            await page.render({ canvasContext: context, viewport }).promise;
+
+            const image = await canvas.convertToBlob({ type: 'image/png' });
+            const worker = await this.getWorker();
+            const { data } = await worker.recognize(image);
+
+            const paragraphs = data.text
+                .split(/\n\s*\n/)
+                .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+                .filter(paragraph => paragraph.length > 0);
+
+            return {
+                text: paragraphs.join('\n\n'),
+                confidence: (data.confidence || 0) / 100,
+                paragraphs
+            };
+        } catch (error) {
+            console.error('Error running OCR:', error);
+            throw new Error(`OCR failed: ${error.message}. Check that ${this.settings.language}.traineddata.gz is in the ${this.settings.langPath} folder.`);
+        }
+    }
+
+    async terminate() {
+        if (this.worker) {
+            await this.worker.terminate();
+            this.worker = null;
+            this.workerKey = null;
+        }
+    }
+}
+
+// Export the OCR engine instance
+export const ocrEngine = new OcrEngine();
+window.ocrEngine = ocrEngine;
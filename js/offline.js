@@ -0,0 +1,128 @@
+// js/offline.js - Service worker registration, offline readiness and model imports
+import { embeddingGenerator, resolveModelPath, MODEL_FILES } from './embeddings.js';
+import { ocrEngine } from './ocr.js';
+
+// transformers.js looks up model files in this cache before touching the network
+const MODEL_CACHE = 'transformers-cache';
+
+class OfflineManager {
+    constructor() {
+        this.registration = null;
+        this.isSupported = 'serviceWorker' in navigator && 'caches' in window;
+    }
+
+    async register() {
+        if (!this.isSupported) {
+            console.warn('Service workers unavailable; offline mode disabled');
+            return null;
+        }
+
+        try {
+            this.registration = await navigator.serviceWorker.register(new URL('../sw.js', import.meta.url));
+            await navigator.serviceWorker.ready;
+            console.log('📦 Service worker registered');
+            return this.registration;
+        } catch (error) {
+            console.error('Error registering service worker:', error);
+            return null;
+        }
+    }
+
+    // Ask the active service worker for its precache list
+    async getPrecacheList() {
+        const worker = (await navigator.serviceWorker.ready).active;
+        return new Promise((resolve, reject) => {
+            const channel = new MessageChannel();
+            const timeout = setTimeout(() => reject(new Error('Service worker did not answer')), 5000);
+            channel.port1.onmessage = (event) => {
+                clearTimeout(timeout);
+                resolve(event.data);
+            };
+            worker.postMessage({ type: 'getAssets' }, [channel.port2]);
+        });
+    }
+
+    // Everything the app needs without a network, grouped for reporting
+    async getRequiredAssets() {
+        const { shell, libraries } = await this.getPrecacheList();
+        return {
+            shell,
+            libraries,
+            model: embeddingGenerator.requiredFileUrls(),
+            ocr: ocrEngine.requiredFileUrls()
+        };
+    }
+
+    /**
+     * Check every required asset against Cache Storage.
+     * Returns { ready, total, missing: [url] }.
+     */
+    async checkStatus() {
+        if (!this.isSupported || !navigator.serviceWorker.controller) {
+            return { ready: false, total: 0, missing: [], reason: 'Service worker not active yet' };
+        }
+
+        const assets = await this.getRequiredAssets();
+        const urls = [...assets.shell, ...assets.libraries, ...assets.model, ...assets.ocr];
+        const cached = await Promise.all(urls.map(url => caches.match(url)));
+        const missing = urls.filter((_, index) => !cached[index]);
+
+        return { ready: missing.length === 0, total: urls.length, missing };
+    }
+
+    // Fetch whatever is missing. Shell and library requests go through the service
+    // worker, which caches them; model files are stored where transformers.js looks.
+    async makeAvailableOffline(progressCallback) {
+        const { missing } = await this.checkStatus();
+        const modelUrls = new Set(embeddingGenerator.requiredFileUrls());
+        const modelCache = await caches.open(MODEL_CACHE);
+
+        for (const [index, url] of missing.entries()) {
+            progressCallback?.(index, missing.length, url);
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Could not download ${url} (${response.status})`);
+            }
+            if (modelUrls.has(url)) {
+                await modelCache.put(url, response);
+            }
+        }
+
+        progressCallback?.(missing.length, missing.length, null);
+        return this.checkStatus();
+    }
+
+    /**
+     * Import a model folder picked by the user (config.json, tokenizer files and
+     * onnx/model_quantized.onnx) as the given model id, so it loads with no network.
+     * files: FileList from an <input webkitdirectory>.
+     */
+    async importModelBundle(files, modelId = embeddingGenerator.settings.model) {
+        const base = resolveModelPath(embeddingGenerator.settings.localModelPath);
+        const modelCache = await caches.open(MODEL_CACHE);
+
+        // Drop the picked folder's own name: "bge-small/onnx/model.onnx" -> "onnx/model.onnx"
+        const entries = [...files].map(file => ({
+            file,
+            path: (file.webkitRelativePath || file.name).split('/').slice(1).join('/') || file.name
+        }));
+
+        const missing = MODEL_FILES.filter(path => !entries.some(entry => entry.path === path));
+        if (missing.length > 0) {
+            throw new Error(`The folder is missing ${missing.join(', ')}`);
+        }
+
+        for (const { file, path } of entries) {
+            await modelCache.put(new URL(`${modelId}/${path}`, base).href, new Response(file, {
+                headers: { 'Content-Type': file.type || 'application/octet-stream', 'Content-Length': String(file.size) }
+            }));
+        }
+
+        console.log(`📦 Imported ${entries.length} model files for ${modelId}`);
+        return entries.length;
+    }
+}
+
+// Export the offline manager instance
+export const offlineManager = new OfflineManager();
+window.offlineManager = offlineManager;
@@ -1,118 +1,224 @@
 // js/pdfProcessor.js
+import { textChunker } from './chunker.js';
+import { ocrEngine } from './ocr.js';
+
+// pdf.js 3.11 draws image masks, patterns and groups on scratch canvases from
+// document.createElement, which does not exist inside the ingest worker
+class OffscreenCanvasFactory {
+    create(width, height) {
+        if (width <= 0 || height <= 0) throw new Error('Invalid canvas size');
+        const canvas = new OffscreenCanvas(width, height);
+        return { canvas, context: canvas.getContext('2d') };
+    }
+
+    reset(canvasAndContext, width, height) {
+        canvasAndContext.canvas.width = width;
+        canvasAndContext.canvas.height = height;
+    }
+
+    destroy(canvasAndContext) {
+        canvasAndContext.canvas.width = 0;
+        canvasAndContext.canvas.height = 0;
+        canvasAndContext.canvas = null;
+        canvasAndContext.context = null;
+    }
+}
+
+// The default filter factory builds SVG filters in the DOM; without one, skip them
+const noFilterFactory = {
+    addFilter: () => 'none',
+    addHCMFilter: () => 'none',
+    addHighlightHCMFilter: () => 'none',
+    destroy() {}
+};
+
 class PDFProcessor {
     constructor() {
-        this.maxChunkSize = 500; // words per chunk
-        this.chunkOverlap = 50;  // overlap between chunks
+        this.headingSizeRatio = 1.15; // lines this much larger than body text are headings
+        this.paragraphGapRatio = 1.8; // vertical gap (in line heights) that starts a new paragraph
     }
 
-    async extractTextFromPDF(file) {
+    // Returns [{ pageNumber, text, blocks }] so callers can keep page provenance.
+    // blocks are headings and paragraphs recovered from pdf.js font sizes and line spacing.
+    // Pages without a usable text layer (scans) are OCRed; their blocks carry
+    // ocr: true and the engine's ocrConfidence (0-1). progressCallback(progress, message)
+    // is per call, so concurrent extractions each report to their own document.
+    async extractPagesFromPDF(file, progressCallback = null) {
+        let pdf;
         try {
             const arrayBuffer = await file.arrayBuffer();
-            const pdf = await pdfjsLib.getDocument(arrayBuffer).promise;
-            
-            let fullText = '';
+            // Without a DOM (inside the ingest worker) glyphs are rendered as paths
+            // and OCR renders pages on OffscreenCanvas
+            const hasDom = typeof document !== 'undefined';
+            pdf = await pdfjsLib.getDocument({
+                data: arrayBuffer,
+                disableFontFace: !hasDom,
+                ...(hasDom ? {} : { canvasFactory: new OffscreenCanvasFactory(), filterFactory: noFilterFactory })
+            }).promise;
+        } catch (error) {
+            console.error('Error opening PDF:', error);
+            throw new Error('Failed to extract text from PDF. The file might be corrupted or password-protected.');
+        }
+
+        try {
+            const pageLines = [];
+            const ocrPages = new Map(); // page index -> OCR result
+            let ocrError = null;
             const totalPages = pdf.numPages;
 
-            // Extract text from each page
+            // Extract text lines from each page
             for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
                 const page = await pdf.getPage(pageNum);
                 const textContent = await page.getTextContent();
+                const lines = this.groupTextIntoLines(textContent.items);
+
+                if (ocrEngine.needsOcr(lines.map(line => line.text).join(''))) {
+                    progressCallback?.((pageNum / totalPages) * 50, `Running OCR on page ${pageNum}/${totalPages}`);
+                    try {
+                        ocrPages.set(pageNum - 1, await ocrEngine.recognizePage(page));
+                        pageLines.push([]);
+                    } catch (error) {
+                        // A blank or figure-only page keeps its (short) text layer
+                        console.warn(`⚠️ Keeping the text layer of page ${pageNum}:`, error.message);
+                        ocrError = error;
+                        pageLines.push(lines);
+                    }
+                } else {
+                    pageLines.push(lines);
+                }
                 
-                const pageText = textContent.items
-                    .map(item => item.str)
-                    .join(' ');
-                
-                fullText += pageText + '\n';
-                
-                // Update progress callback if provided
                 const progress = (pageNum / totalPages) * 50; // 50% for text extraction
-                this.onProgress?.(progress, `Extracting text from page ${pageNum}/${totalPages}`);
+                progressCallback?.(progress, `Extracting text from page ${pageNum}/${totalPages}`);
+            }
+
+            if (ocrPages.size > 0) {
+                console.log(`🔎 OCR used for ${ocrPages.size} of ${totalPages} pages`);
             }
 
-            return fullText.trim();
+            const bodyFontSize = this.findBodyFontSize(pageLines.flat());
+            const headingSizes = [...new Set(pageLines.flat()
+                .filter(line => line.fontSize >= bodyFontSize * this.headingSizeRatio)
+                .map(line => line.fontSize))]
+                .sort((a, b) => b - a);
+
+            const pages = pageLines.map((lines, index) => {
+                const ocr = ocrPages.get(index);
+                const blocks = ocr
+                    ? ocr.paragraphs.map(text => ({ type: 'paragraph', text, ocr: true, ocrConfidence: ocr.confidence }))
+                    : this.linesToBlocks(lines, bodyFontSize, headingSizes);
+                return {
+                    pageNumber: index + 1,
+                    text: blocks.map(block => block.text).join('\n\n'),
+                    blocks
+                };
+            });
+
+            // Only a document with no text anywhere fails on OCR
+            if (ocrError && pages.every(page => !page.text)) {
+                throw ocrError;
+            }
+            return pages;
         } catch (error) {
             console.error('Error extracting text from PDF:', error);
-            throw new Error('Failed to extract text from PDF. The file might be corrupted or password-protected.');
+            throw error.message.startsWith('OCR failed')
+                ? error
+                : new Error('Failed to extract text from PDF. The file might be corrupted or password-protected.');
+        } finally {
+            pdf.destroy();
         }
     }
 
-    chunkText(text, documentId) {
-        try {
-            // Simple word-based chunking
-            const words = text.split(/\s+/).filter(word => word.length > 0);
-            const chunks = [];
-            
-            let chunkIndex = 0;
-            let startIndex = 0;
-
-            while (startIndex < words.length) {
-                const endIndex = Math.min(startIndex + this.maxChunkSize, words.length);
-                const chunkWords = words.slice(startIndex, endIndex);
-                const chunkText = chunkWords.join(' ');
-
-                if (chunkText.trim().length > 0) {
-                    chunks.push({
-                        documentId: documentId,
-                        chunkIndex: chunkIndex,
-                        text: chunkText.trim(),
-                        tokenCount: chunkWords.length,
-                        embedding: null // Will be filled by embedding module
-                    });
-                    chunkIndex++;
-                }
+    // Join pdf.js text items into lines with their font size and baseline
+    groupTextIntoLines(items) {
+        const lines = [];
+        let current = null;
+
+        items.forEach(item => {
+            const fontSize = Math.round(Math.hypot(item.transform[2], item.transform[3]) * 10) / 10 || item.height || 0;
+            const y = item.transform[5];
 
-                // Fixed overlap logic - ensure we always move forward
-                if (endIndex >= words.length) {
-                    // We've reached the end, break out
-                    break;
+            if (item.str.length > 0) {
+                if (current && Math.abs(current.y - y) > Math.max(current.fontSize, fontSize) * 0.5) {
+                    lines.push(current);
+                    current = null;
+                }
+                if (current) {
+                    current.text += (current.text.endsWith(' ') || item.str.startsWith(' ') ? '' : ' ') + item.str;
+                    current.fontSize = Math.max(current.fontSize, fontSize);
                 } else {
-                    // Move forward by (chunkSize - overlap), but ensure minimum progress
-                    const nextStart = startIndex + this.maxChunkSize - this.chunkOverlap;
-                    startIndex = Math.max(nextStart, startIndex + 1); // Always move at least 1 word forward
+                    current = { text: item.str, fontSize, y };
                 }
             }
 
-            return chunks;
-        } catch (error) {
-            console.error('Error chunking text:', error);
-            throw new Error('Failed to process text into chunks');
-        }
+            if (item.hasEOL && current) {
+                lines.push(current);
+                current = null;
+            }
+        });
+        if (current) lines.push(current);
+
+        return lines
+            .map(line => ({ ...line, text: line.text.replace(/\s+/g, ' ').trim() }))
+            .filter(line => line.text.length > 0);
     }
 
-    async processDocument(file, documentId, progressCallback) {
-        try {
-            this.onProgress = progressCallback;
+    // The font size covering the most characters is the body text size
+    findBodyFontSize(lines) {
+        const charsBySize = new Map();
+        lines.forEach(line => {
+            charsBySize.set(line.fontSize, (charsBySize.get(line.fontSize) || 0) + line.text.length);
+        });
 
-            // Step 1: Extract text (0-50%)
-            const fullText = await this.extractTextFromPDF(file);
-            
-            if (!fullText || fullText.length < 10) {
-                throw new Error('PDF appears to be empty or contains no readable text');
+        let bodySize = 0;
+        let maxChars = -1;
+        charsBySize.forEach((chars, size) => {
+            if (chars > maxChars) {
+                bodySize = size;
+                maxChars = chars;
             }
+        });
+        return bodySize;
+    }
 
-            // Step 2: Chunk text (50-60%)
-            progressCallback?.(55, 'Creating text chunks...');
-            const chunks = this.chunkText(fullText, documentId);
-            
-            if (chunks.length === 0) {
-                throw new Error('No valid text chunks could be created from the document');
-            }
+    linesToBlocks(lines, bodyFontSize, headingSizes) {
+        const blocks = [];
+        let previous = null;
 
-            progressCallback?.(60, `Created ${chunks.length} text chunks`);
+        lines.forEach(line => {
+            const isHeading = bodyFontSize > 0 &&
+                line.fontSize >= bodyFontSize * this.headingSizeRatio &&
+                line.text.length < 200;
+            const last = blocks[blocks.length - 1];
+            const gap = previous ? Math.abs(previous.y - line.y) : 0;
 
-            return {
-                fullText: fullText,
-                chunks: chunks,
-                stats: {
-                    totalWords: fullText.split(/\s+/).length,
-                    totalChunks: chunks.length,
-                    avgChunkSize: chunks.reduce((sum, chunk) => sum + chunk.tokenCount, 0) / chunks.length
+            if (isHeading) {
+                const level = Math.min(headingSizes.indexOf(line.fontSize) + 1, 6);
+                // Multi-line headings continue the previous heading block
+                if (last?.type === 'heading' && last.level === level && previous?.fontSize === line.fontSize) {
+                    last.text += ' ' + line.text;
+                } else {
+                    blocks.push({ type: 'heading', level, text: line.text });
                 }
-            };
+            } else if (last?.type === 'paragraph' && gap <= line.fontSize * this.paragraphGapRatio) {
+                last.text = last.text.endsWith('-')
+                    ? last.text.slice(0, -1) + line.text // re-join hyphenated words
+                    : last.text + ' ' + line.text;
+            } else {
+                blocks.push({ type: 'paragraph', text: line.text });
+            }
+
+            previous = line;
+        });
 
+        return blocks;
+    }
+
+    chunkText(text, documentId, pages = null, blocks = [], config = textChunker.config) {
+        try {
+            return textChunker.chunk({ text, blocks, pages }, documentId, config);
         } catch (error) {
-            console.error('Error processing document:', error);
-            throw error;
+            console.error('Error chunking text:', error);
+            throw new Error('Failed to process text into chunks');
         }
     }
 }
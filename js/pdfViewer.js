@@ -0,0 +1,300 @@
+// js/pdfViewer.js - Side panel that renders a stored PDF and highlights result passages
+import { documentDB } from './database.js';
+import { escapeHtml, formatChunkLocation } from './utils.js';
+
+const MIN_SCALE = 0.5;
+const MAX_SCALE = 3;
+const ZOOM_STEP = 0.25;
+const ANCHOR_WORDS = 5;   // consecutive words that must match to locate a chunk on a page
+const ANCHOR_TRIES = 20;  // chunk word offsets tried when the first words do not match
+
+// Lowercased letter/digit runs; punctuation and hyphenation differences are ignored
+function toWords(text) {
+    return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// First index at or after `from` where `anchor` occurs in pageWords, or -1
+function findAnchor(pageWords, anchor, from = 0) {
+    for (let i = from; i + anchor.length <= pageWords.length; i++) {
+        if (anchor.every((word, j) => pageWords[i + j].word === word)) return i;
+    }
+    return -1;
+}
+
+class PdfViewer {
+    constructor() {
+        this.pdf = null;
+        this.documentId = null;
+        this.document = null;
+        this.pageNumber = 1;
+        this.scale = 1.25;
+        this.hits = [];        // search results that prev/next hit walk through
+        this.hitIndex = -1;
+        this.renderTask = null;
+        this.elements = {};
+        this.initializeElements();
+        this.attachEventListeners();
+    }
+
+    initializeElements() {
+        this.elements = {
+            panel: document.getElementById('viewerPanel'),
+            title: document.getElementById('viewerTitle'),
+            body: document.getElementById('viewerBody'),
+            page: document.getElementById('viewerPage'),
+            canvas: document.getElementById('viewerCanvas'),
+            highlights: document.getElementById('viewerHighlights'),
+            message: document.getElementById('viewerMessage'),
+            hitLabel: document.getElementById('viewerHitLabel'),
+            prevHit: document.getElementById('viewerPrevHit'),
+            nextHit: document.getElementById('viewerNextHit'),
+            prevPage: document.getElementById('viewerPrevPage'),
+            nextPage: document.getElementById('viewerNextPage'),
+            pageInput: document.getElementById('viewerPageInput'),
+            pageCount: document.getElementById('viewerPageCount'),
+            zoomOut: document.getElementById('viewerZoomOut'),
+            zoomIn: document.getElementById('viewerZoomIn'),
+            zoomLabel: document.getElementById('viewerZoomLabel'),
+            fitWidth: document.getElementById('viewerFitWidth'),
+            close: document.getElementById('viewerClose')
+        };
+    }
+
+    attachEventListeners() {
+        this.elements.prevHit.addEventListener('click', () => this.goToHit(this.hitIndex - 1));
+        this.elements.nextHit.addEventListener('click', () => this.goToHit(this.hitIndex + 1));
+        this.elements.prevPage.addEventListener('click', () => this.goToPage(this.pageNumber - 1));
+        this.elements.nextPage.addEventListener('click', () => this.goToPage(this.pageNumber + 1));
+        this.elements.pageInput.addEventListener('change', () => {
+            this.goToPage(parseInt(this.elements.pageInput.value) || 1);
+        });
+        this.elements.zoomOut.addEventListener('click', () => this.setScale(this.scale - ZOOM_STEP));
+        this.elements.zoomIn.addEventListener('click', () => this.setScale(this.scale + ZOOM_STEP));
+        this.elements.fitWidth.addEventListener('click', () => this.fitWidth());
+        this.elements.close.addEventListener('click', () => this.close());
+
+        document.addEventListener('keydown', (e) => {
+            if (this.elements.panel.hidden || e.target.matches('input, textarea')) return;
+            if (e.key === 'Escape') this.close();
+            if (e.key === 'ArrowRight') this.goToPage(this.pageNumber + 1);
+            if (e.key === 'ArrowLeft') this.goToPage(this.pageNumber - 1);
+        });
+    }
+
+    // Open the viewer on one result; prev/next then walk through all of them
+    async showHits(results, index = 0) {
+        this.hits = results;
+        await this.goToHit(index);
+    }
+
+    get currentHit() {
+        return this.hits[this.hitIndex] || null;
+    }
+
+    async goToHit(index) {
+        if (index < 0 || index >= this.hits.length) return;
+        this.hitIndex = index;
+        const hit = this.currentHit;
+
+        this.elements.panel.hidden = false;
+        this.updateHitControls();
+
+        try {
+            const isPdf = await this.openDocument(hit.documentId);
+            if (isPdf) {
+                this.pageNumber = Math.min(hit.chunk.startPage || 1, this.pdf.numPages);
+                await this.renderPage();
+            } else {
+                this.showTextFallback(hit);
+            }
+        } catch (error) {
+            console.error('Error opening document in viewer:', error);
+            this.showMessage(`Could not open this document: ${escapeHtml(error.message)}`);
+        }
+    }
+
+    // Load the stored original. Returns false when there is no PDF to render.
+    async openDocument(documentId) {
+        if (this.documentId === documentId) return this.pdf !== null;
+
+        await this.pdf?.destroy();
+        this.pdf = null;
+        this.documentId = documentId;
+        this.document = await documentDB.getDocument(documentId);
+        this.elements.title.textContent = this.document?.filename || '';
+
+        const stored = await documentDB.getDocumentFile(documentId);
+        if (!stored || (this.document?.extractor || 'pdf') !== 'pdf') {
+            return false;
+        }
+
+        this.pdf = await pdfjsLib.getDocument({ data: await stored.blob.arrayBuffer() }).promise;
+        this.elements.pageInput.max = this.pdf.numPages;
+        this.elements.pageCount.textContent = `/ ${this.pdf.numPages}`;
+        return true;
+    }
+
+    async goToPage(pageNumber) {
+        if (!this.pdf || pageNumber < 1 || pageNumber > this.pdf.numPages) return;
+        this.pageNumber = pageNumber;
+        await this.renderPage();
+    }
+
+    async setScale(scale) {
+        this.scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+        await this.renderPage();
+    }
+
+    async fitWidth() {
+        if (!this.pdf) return;
+        const page = await this.pdf.getPage(this.pageNumber);
+        const width = this.elements.body.clientWidth - 32; // body padding
+        await this.setScale(width / page.getViewport({ scale: 1 }).width);
+    }
+
+    async renderPage() {
+        if (!this.pdf) return;
+
+        this.renderTask?.cancel();
+        this.elements.message.hidden = true;
+        this.elements.page.hidden = false;
+        this.elements.pageInput.value = this.pageNumber;
+        this.elements.zoomLabel.textContent = `${Math.round(this.scale * 100)}%`;
+        this.elements.prevPage.disabled = this.pageNumber <= 1;
+        this.elements.nextPage.disabled = this.pageNumber >= this.pdf.numPages;
+
+        const page = await this.pdf.getPage(this.pageNumber);
+        const viewport = page.getViewport({ scale: this.scale });
+        const pixelRatio = window.devicePixelRatio || 1;
+        const canvas = this.elements.canvas;
+        canvas.width = Math.floor(viewport.width * pixelRatio);
+        canvas.height = Math.floor(viewport.height * pixelRatio);
+        canvas.style.width = `${viewport.width}px`;
+        canvas.style.height = `${viewport.height}px`;
+        this.elements.page.style.width = `${viewport.width}px`;
+        this.elements.page.style.height = `${viewport.height}px`;
+
+        this.renderTask = page.render({
+            canvasContext: canvas.getContext('2d'),
+            viewport,
+            transform: pixelRatio !== 1 ? [pixelRatio, 0, 0, pixelRatio, 0, 0] : null
+        });
+        try {
+            await this.renderTask.promise;
+        } catch (error) {
+            if (error?.name === 'RenderingCancelledException') return;
+            throw error;
+        } finally {
+            this.renderTask = null;
+        }
+
+        await this.drawHighlights(page, viewport);
+    }
+
+    // Boxes over the text items of the current hit's chunk, if it is on this page
+    async drawHighlights(page, viewport) {
+        const layer = this.elements.highlights;
+        layer.innerHTML = '';
+
+        const hit = this.currentHit;
+        if (!hit || hit.documentId !== this.documentId) return;
+        const { startPage, endPage } = hit.chunk;
+        if (startPage == null || this.pageNumber < startPage || this.pageNumber > (endPage ?? startPage)) return;
+
+        const { items } = await page.getTextContent();
+        const matched = this.findChunkItems(items, hit.chunk);
+
+        matched.forEach(index => {
+            const item = items[index];
+            const [, , c, d, x, y] = item.transform;
+            const fontHeight = Math.hypot(c, d);
+            const [x1, y1, x2, y2] = viewport.convertToViewportRectangle([x, y, x + item.width, y + fontHeight]);
+
+            const box = document.createElement('div');
+            box.className = 'viewer-highlight';
+            box.style.left = `${Math.min(x1, x2)}px`;
+            box.style.top = `${Math.min(y1, y2)}px`;
+            box.style.width = `${Math.abs(x2 - x1)}px`;
+            box.style.height = `${Math.abs(y2 - y1)}px`;
+            layer.appendChild(box);
+        });
+
+        layer.firstElementChild?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+
+    /**
+     * Indexes of the pdf.js text items on the current page that make up the chunk.
+     * The chunk text was cleaned up during extraction, so it is located by word
+     * anchors: its first words on its start page, its last words on its end page,
+     * and whole pages in between.
+     */
+    findChunkItems(items, chunk) {
+        const pageWords = items.flatMap((item, index) => toWords(item.str).map(word => ({ word, index })));
+        const chunkWords = toWords(chunk.text);
+        if (pageWords.length === 0 || chunkWords.length === 0) return new Set();
+
+        const isStartPage = this.pageNumber === chunk.startPage;
+        const isEndPage = this.pageNumber === (chunk.endPage ?? chunk.startPage);
+
+        let start = 0;
+        if (isStartPage) {
+            start = -1;
+            for (let offset = 0; offset < Math.min(ANCHOR_TRIES, chunkWords.length) && start === -1; offset++) {
+                start = findAnchor(pageWords, chunkWords.slice(offset, offset + ANCHOR_WORDS));
+            }
+            if (start === -1) return new Set();
+        }
+
+        let end = pageWords.length - 1;
+        if (isEndPage) {
+            end = -1;
+            for (let offset = 0; offset < Math.min(ANCHOR_TRIES, chunkWords.length) && end === -1; offset++) {
+                const to = chunkWords.length - offset;
+                const anchor = chunkWords.slice(Math.max(0, to - ANCHOR_WORDS), to);
+                const found = findAnchor(pageWords, anchor, start);
+                if (found !== -1) end = found + anchor.length - 1;
+            }
+            if (end === -1) {
+                end = Math.min(pageWords.length - 1, start + chunkWords.length - 1);
+            }
+        }
+
+        return new Set(pageWords.slice(start, end + 1).map(entry => entry.index));
+    }
+
+    // Formats without a page image: show the chunk text on its own
+    showTextFallback(hit) {
+        this.elements.page.hidden = true;
+        this.elements.pageInput.value = '';
+        this.elements.pageCount.textContent = '';
+        this.showMessage(`
+            <p class="viewer-note">${this.pdf === null && (this.document?.extractor || 'pdf') === 'pdf'
+                ? 'The original file was not kept for this document, so only the matching text is shown.'
+                : 'Page preview is only available for PDFs. Matching text:'}</p>
+            <blockquote>${escapeHtml(hit.chunk.text)}</blockquote>
+        `);
+    }
+
+    showMessage(html) {
+        this.elements.message.innerHTML = html;
+        this.elements.message.hidden = false;
+    }
+
+    updateHitControls() {
+        const hit = this.currentHit;
+        this.elements.prevHit.disabled = this.hitIndex <= 0;
+        this.elements.nextHit.disabled = this.hitIndex >= this.hits.length - 1;
+        this.elements.hitLabel.textContent = hit
+            ? `Result ${this.hitIndex + 1} / ${this.hits.length} • ${formatChunkLocation(hit.chunk)}`
+            : '';
+    }
+
+    close() {
+        this.renderTask?.cancel();
+        this.elements.panel.hidden = true;
+    }
+}
+
+// Export the viewer instance
+export const pdfViewer = new PdfViewer();
+window.pdfViewer = pdfViewer;
@@ -0,0 +1,70 @@
+// js/quantization.js - Scalar int8 and binary quantization of embeddings
+
+// Symmetric per-vector int8: value ≈ code * scale
+export function quantizeInt8(vector) {
+    let maxAbs = 0;
+    for (let i = 0; i < vector.length; i++) {
+        maxAbs = Math.max(maxAbs, Math.abs(vector[i]));
+    }
+
+    const scale = maxAbs > 0 ? maxAbs / 127 : 1;
+    const codes = new Int8Array(vector.length);
+    for (let i = 0; i < vector.length; i++) {
+        codes[i] = Math.round(vector[i] / scale);
+    }
+    return { codes, scale };
+}
+
+export function dequantizeInt8(codes, scale) {
+    const vector = new Float32Array(codes.length);
+    for (let i = 0; i < codes.length; i++) {
+        vector[i] = codes[i] * scale;
+    }
+    return vector;
+}
+
+// One bit per dimension: set when the component is positive
+export function quantizeBinary(vector) {
+    const bits = new Uint8Array(Math.ceil(vector.length / 8));
+    for (let i = 0; i < vector.length; i++) {
+        if (vector[i] > 0) {
+            bits[i >> 3] |= 1 << (i & 7);
+        }
+    }
+    return bits;
+}
+
+const POPCOUNT = new Uint8Array(256).map((_, byte) => {
+    let count = 0;
+    for (let b = byte; b; b >>= 1) count += b & 1;
+    return count;
+});
+
+export function hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        distance += POPCOUNT[a[i] ^ b[i]];
+    }
+    return distance;
+}
+
+export function int8Dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += a[i] * b[i];
+    }
+    return sum;
+}
+
+// Row stored in the quantizedVectors table for one chunk
+export function quantizeEmbedding(chunkId, documentId, embedding) {
+    const vector = embedding instanceof Float32Array ? embedding : new Float32Array(embedding);
+    const { codes, scale } = quantizeInt8(vector);
+    return {
+        chunkId,
+        documentId,
+        int8: codes,
+        scale,
+        bits: quantizeBinary(vector)
+    };
+}
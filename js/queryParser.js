@@ -0,0 +1,166 @@
+// js/queryParser.js - Structured search syntax
+//
+//   doc:"handbook"      document name contains the text (repeat for any of several)
+//   tag:legal           document has the tag (repeat to require several)
+//   after:2026-01-01    uploaded on or after the date (YYYY, YYYY-MM or YYYY-MM-DD)
+//   before:2026-06      uploaded before the date
+//   page:10-40          passage overlaps the pages (page:12, page:10-40 or page:10-)
+//   "exact phrase"      passage must contain the phrase
+//   -word, -"phrase"    passage must not contain it
+//
+// Everything else is free text, the only part that is embedded for semantic search.
+import { escapeRegExp } from './utils.js';
+
+const FILTER_KEYS = new Set(['doc', 'tag', 'after', 'before', 'page']);
+
+// "2026", "2026-03" or "2026-03-14" as local midnight at the start of that period
+function parseDate(value) {
+    const match = value.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+    if (!match) return null;
+
+    const [year, month, day] = [parseInt(match[1]), parseInt(match[2] || '1'), parseInt(match[3] || '1')];
+    const date = new Date(year, month - 1, day);
+    // Reject dates JavaScript would roll over, such as 2026-02-30
+    return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+function parsePages(value) {
+    const match = value.match(/^(\d+)(?:(-)(\d*))?$/);
+    if (!match) return null;
+
+    const from = parseInt(match[1]);
+    const to = match[2] ? (match[3] ? parseInt(match[3]) : Infinity) : from;
+    return from >= 1 && from <= to ? { from, to } : null;
+}
+
+/**
+ * Split a query into free text, filters, required phrases and excluded terms.
+ * Problems are collected rather than thrown so they can be shown next to the input:
+ * errors is [{ message, token }].
+ */
+export function parseQuery(input) {
+    const parsed = {
+        text: '',
+        phrases: [],
+        excluded: [],
+        filters: { documents: [], tags: [], after: null, before: null, pages: null },
+        errors: []
+    };
+    const freeText = [];
+    const error = (message, token) => parsed.errors.push({ message, token });
+
+    // -?key:"quoted value" | -?key:value | -?"phrase" | word
+    const tokenPattern = /(-?)(?:([A-Za-z]+):(?:"([^"]*)("?)|(\S*))|"([^"]*)("?)|(\S+))/g;
+    let match;
+    while ((match = tokenPattern.exec(input)) !== null) {
+        const [token, negated, key, quotedValue, valueClosed, plainValue, phrase, phraseClosed, word] = match;
+
+        if (key !== undefined && FILTER_KEYS.has(key.toLowerCase())) {
+            if (negated) {
+                error(`${key}: filters cannot be negated`, token);
+                continue;
+            }
+            if (quotedValue !== undefined && !valueClosed) {
+                error('Missing closing quote', token);
+                continue;
+            }
+            const value = (quotedValue ?? plainValue).trim();
+            if (!value) {
+                error(`${key}: needs a value`, token);
+                continue;
+            }
+            applyFilter(parsed, key.toLowerCase(), value, token, error);
+        } else if (key !== undefined) {
+            // Not a filter, e.g. "ratio:3" or "note:" - keep it as text
+            if (negated) parsed.excluded.push(token.slice(1));
+            else freeText.push(token);
+        } else if (phrase !== undefined) {
+            if (!phraseClosed) {
+                error('Missing closing quote', token);
+            } else if (phrase.trim()) {
+                (negated ? parsed.excluded : parsed.phrases).push(phrase.trim());
+            }
+        } else if (negated) {
+            parsed.excluded.push(word);
+        } else if (word !== '-') {
+            freeText.push(word);
+        }
+    }
+
+    parsed.text = freeText.join(' ');
+    return parsed;
+}
+
+function applyFilter(parsed, key, value, token, error) {
+    const { filters } = parsed;
+    switch (key) {
+        case 'doc':
+            filters.documents.push(value);
+            break;
+        case 'tag':
+            filters.tags.push(value.toLowerCase());
+            break;
+        case 'after':
+        case 'before': {
+            const date = parseDate(value);
+            if (!date) {
+                error(`"${value}" is not a date; use YYYY-MM-DD`, token);
+            } else if (filters[key]) {
+                error(`Only one ${key}: filter is allowed`, token);
+            } else {
+                filters[key] = date;
+            }
+            if (filters.after && filters.before && filters.after >= filters.before) {
+                error('after: must be earlier than before:', token);
+            }
+            break;
+        }
+        case 'page': {
+            const pages = parsePages(value);
+            if (!pages) {
+                error(`"${value}" is not a page range; use page:12 or page:10-40`, token);
+            } else if (filters.pages) {
+                error('Only one page: filter is allowed', token);
+            } else {
+                filters.pages = pages;
+            }
+            break;
+        }
+    }
+}
+
+// Document-level filters narrow the documents searched
+export function hasDocumentFilters({ filters }) {
+    return filters.documents.length > 0 || filters.tags.length > 0 || filters.after !== null || filters.before !== null;
+}
+
+// Chunk-level constraints decide passage by passage
+export function hasChunkFilters(parsed) {
+    return parsed.filters.pages !== null || hasTextFilters(parsed);
+}
+
+// Phrases and exclusions need the passage text, so they are checked after retrieval
+export function hasTextFilters(parsed) {
+    return parsed.phrases.length > 0 || parsed.excluded.length > 0;
+}
+
+// Whole-word, case-insensitive pattern for an excluded term or phrase
+function termPattern(term) {
+    const body = term.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+// Predicate for a retrieved chunk: contains every required phrase and no excluded term.
+// Page ranges are matched on the chunk page indexes instead (documentDB.findChunkIdsInPages).
+export function createTextFilter(parsed) {
+    const phrases = parsed.phrases.map(phrase => phrase.toLowerCase().replace(/\s+/g, ' '));
+    const excluded = parsed.excluded.map(termPattern);
+
+    return (chunk) => {
+        if (phrases.length > 0) {
+            const text = chunk.text.toLowerCase().replace(/\s+/g, ' ');
+            if (!phrases.every(phrase => text.includes(phrase))) return false;
+        }
+        return !excluded.some(pattern => pattern.test(chunk.text));
+    };
+}
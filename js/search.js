@@ -1,31 +1,90 @@
 // js/search.js
 import { documentDB } from './database.js';
 import { embeddingGenerator } from './embeddings.js';
+import { ingestWorker } from './workerClient.js';
+import { formatChunkLocation, escapeRegExp, escapeHtml } from './utils.js';
+import { quantizeInt8, quantizeBinary, dequantizeInt8, hammingDistance, int8Dot } from './quantization.js';
+import { parseQuery, hasDocumentFilters, hasTextFilters, createTextFilter } from './queryParser.js';
+
+const FUSION_KEY = 'localFilesQA.fusion';
+
+// Accept a single id for the older one-document call sites
+function normalizeDocumentIds(documentIds) {
+    if (documentIds === null || documentIds === undefined) return null;
+    return Array.isArray(documentIds) ? documentIds : [documentIds];
+}
+
+// Overlapping three-word windows of a chunk, for near-duplicate detection
+function textShingles(text) {
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const shingles = new Set();
+    for (let i = 0; i + 3 <= words.length; i++) {
+        shingles.add(words.slice(i, i + 3).join(' '));
+    }
+    if (shingles.size === 0 && words.length > 0) shingles.add(words.join(' '));
+    return shingles;
+}
+
+function jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    a.forEach(shingle => { if (b.has(shingle)) shared++; });
+    return shared / (a.size + b.size - shared);
+}
 
 class VectorSearch {
     constructor() {
         this.defaultTopK = 5;
         this.similarityThreshold = 0.3; // Minimum similarity score
+        this.useAnnIndex = true;
+        this.annMinChunks = 1000;       // use the HNSW index from this many chunks up
+        this.rescoreFactor = 10;        // quantized first pass keeps topK * this for rescoring
+        this.duplicateSimilarity = 0.9; // shingle overlap at which two results count as one passage
+        this.maxFilteredCandidates = 640; // over-fetch limit when phrases or exclusions reject results
+        this.fusion = this.loadFusion();
     }
 
-    async searchSimilarChunks(queryText, documentId = null, topK = this.defaultTopK) {
+    // How hybrid search merges vector and keyword rankings
+    loadFusion() {
+        const defaults = { method: 'rrf', rrfK: 60, vectorWeight: 0.6, candidateMultiplier: 4 };
         try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem(FUSION_KEY) || 'null') };
+        } catch (error) {
+            console.error('Error loading fusion settings:', error);
+            return defaults;
+        }
+    }
+
+    // documentIds: array of document ids to search, or null for every document;
+    // chunkIds: optional Set that further limits the search to those chunks
+    async searchSimilarChunks(queryText, documentIds = null, topK = this.defaultTopK, chunkIds = null) {
+        try {
+            documentIds = normalizeDocumentIds(documentIds);
+
+            // Vectors from another embedding model cannot be compared with this query
+            documentIds = await this.excludeStaleDocuments(documentIds);
+
             // Step 1: Generate embedding for the query
-            if (!embeddingGenerator.isInitialized) {
+            if (!ingestWorker.isModelReady) {
                 throw new Error('Embedding model not initialized. Please wait for model to load.');
             }
 
-            const queryEmbedding = await embeddingGenerator.generateEmbedding(queryText);
+            const queryEmbedding = await ingestWorker.embed(queryText);
 
-            // Step 2: Get chunks to search
-            let chunks;
-            if (documentId) {
-                chunks = await documentDB.getDocumentChunks(documentId);
-            } else {
-                chunks = await documentDB.getAllChunks();
+            // Step 2: Score chunks, through the ANN index when it is usable
+            let scored = this.useAnnIndex
+                ? await this.searchWithIndex(queryEmbedding, documentIds, topK, chunkIds)
+                : null;
+            if (!scored) {
+                const { searchMode, dropFullPrecision } = documentDB.vectorStorage;
+                scored = searchMode !== 'float32' || dropFullPrecision
+                    ? await this.quantizedSearch(queryEmbedding, documentIds, topK, searchMode === 'binary' ? 'binary' : 'int8', chunkIds)
+                    : await this.exactSearch(queryEmbedding, documentIds, chunkIds);
             }
 
-            if (chunks.length === 0) {
+            const { similarities, totalSearched, method } = scored;
+
+            if (totalSearched === 0) {
                 return {
                     results: [],
                     query: queryText,
@@ -33,35 +92,6 @@ class VectorSearch {
                 };
             }
 
-            // Step 3: Calculate similarities
-            const similarities = chunks.map(chunk => {
-                try {
-                    // Ensure embedding is Float32Array
-                    let chunkEmbedding = chunk.embedding;
-                    if (!(chunkEmbedding instanceof Float32Array)) {
-                        chunkEmbedding = new Float32Array(chunkEmbedding);
-                    }
-
-                    const similarity = embeddingGenerator.constructor.cosineSimilarity(
-                        queryEmbedding, 
-                        chunkEmbedding
-                    );
-
-                    return {
-                        chunk,
-                        similarity,
-                        documentId: chunk.documentId
-                    };
-                } catch (error) {
-                    console.error('Error calculating similarity for chunk:', chunk.id, error);
-                    return {
-                        chunk,
-                        similarity: 0,
-                        documentId: chunk.documentId
-                    };
-                }
-            });
-
             // Step 4: Filter and sort results
             const filteredResults = similarities
                 .filter(result => result.similarity >= this.similarityThreshold)
@@ -69,22 +99,14 @@ class VectorSearch {
                 .slice(0, topK);
 
             // Step 5: Enhance results with document info
-            const enhancedResults = await Promise.all(
-                filteredResults.map(async (result) => {
-                    const document = await documentDB.getDocument(result.documentId);
-                    return {
-                        ...result,
-                        documentName: document?.filename || 'Unknown Document',
-                        uploadDate: document?.uploadDate
-                    };
-                })
-            );
+            const enhancedResults = await this.attachDocumentInfo(filteredResults);
 
             return {
                 results: enhancedResults,
                 query: queryText,
-                totalSearched: chunks.length,
-                hasResults: enhancedResults.length > 0
+                totalSearched: totalSearched,
+                hasResults: enhancedResults.length > 0,
+                searchMethod: method
             };
 
         } catch (error) {
@@ -93,51 +115,349 @@ class VectorSearch {
         }
     }
 
+    // Drop documents awaiting re-embedding; null (all documents) stays null when none are stale
+    async excludeStaleDocuments(documentIds) {
+        const stale = await documentDB.findStaleDocuments();
+        if (stale.length === 0) return documentIds;
+
+        const staleIds = new Set(stale.map(doc => doc.id));
+        const candidates = documentIds || await documentDB.getCompatibleDocumentIds();
+        return candidates.filter(id => !staleIds.has(id));
+    }
+
+    // Approximate search through the HNSW index; returns null to request an exact scan
+    async searchWithIndex(queryEmbedding, documentIds, topK, chunkIds = null) {
+        try {
+            const index = documentDB.annIndex;
+            await index.ensureLoaded();
+
+            // Below this size a linear scan is just as fast and always exact
+            if (index.size < this.annMinChunks) return null;
+
+            // Filtering by document or chunk discards most of the beam, so widen it
+            const allowed = documentIds ? new Set(documentIds) : null;
+            const filter = allowed || chunkIds
+                ? node => (!allowed || allowed.has(node.documentId)) && (!chunkIds || chunkIds.has(node.chunkId))
+                : null;
+            const ef = filter
+                ? Math.min(index.size, Math.max(index.efSearch, topK * 20))
+                : Math.max(index.efSearch, topK);
+
+            const hits = index.search(queryEmbedding, topK, filter, ef);
+            if (hits.length < topK) return null; // filter starved the beam
+
+            const chunks = await documentDB.getChunksByIds(hits.map(hit => hit.id));
+            const similarities = hits
+                .map((hit, i) => ({ chunk: chunks[i], similarity: hit.similarity, documentId: chunks[i]?.documentId }))
+                .filter(result => result.chunk);
+
+            return { similarities, totalSearched: index.size, method: 'ann' };
+
+        } catch (error) {
+            console.error('ANN search failed, falling back to exact search:', error);
+            return null;
+        }
+    }
+
+    // Exact cosine similarity against every candidate chunk
+    async exactSearch(queryEmbedding, documentIds, chunkIds = null) {
+        let chunks = documentIds
+            ? await documentDB.getChunksForDocuments(documentIds)
+            : await documentDB.getAllChunks();
+        if (chunkIds) {
+            chunks = chunks.filter(chunk => chunkIds.has(chunk.id));
+        }
+
+        // Chunks stored while full precision was switched off only have quantized codes
+        const withoutEmbedding = chunks.filter(chunk => !chunk.embedding).map(chunk => chunk.id);
+        const dequantized = new Map();
+        if (withoutEmbedding.length > 0) {
+            (await documentDB.getQuantizedVectorsByIds(withoutEmbedding)).forEach(row => {
+                if (row) dequantized.set(row.chunkId, dequantizeInt8(row.int8, row.scale));
+            });
+        }
+
+        const similarities = chunks.map(chunk => {
+            try {
+                // Ensure embedding is Float32Array
+                let chunkEmbedding = chunk.embedding || dequantized.get(chunk.id);
+                if (!(chunkEmbedding instanceof Float32Array)) {
+                    chunkEmbedding = new Float32Array(chunkEmbedding);
+                }
+
+                const similarity = embeddingGenerator.constructor.cosineSimilarity(
+                    queryEmbedding, 
+                    chunkEmbedding
+                );
+
+                return {
+                    chunk,
+                    similarity,
+                    documentId: chunk.documentId
+                };
+            } catch (error) {
+                console.error('Error calculating similarity for chunk:', chunk.id, error);
+                return {
+                    chunk,
+                    similarity: 0,
+                    documentId: chunk.documentId
+                };
+            }
+        });
+
+        return { similarities, totalSearched: chunks.length, method: 'exact' };
+    }
+
+    // Two-stage search: rank the compact quantized codes (Hamming distance on the
+    // binary codes or an int8 dot product), then rescore the best candidates at full precision
+    async quantizedSearch(queryEmbedding, documentIds, topK, mode = 'int8', chunkIds = null) {
+        let rows = await documentDB.getQuantizedVectors(documentIds);
+        if (chunkIds) {
+            rows = rows.filter(row => chunkIds.has(row.chunkId));
+        }
+        if (rows.length === 0) {
+            return { similarities: [], totalSearched: 0, method: mode };
+        }
+
+        let firstPass;
+        if (mode === 'binary') {
+            const queryBits = quantizeBinary(queryEmbedding);
+            firstPass = rows.map(row => ({ row, score: -hammingDistance(queryBits, row.bits) }));
+        } else {
+            const { codes, scale } = quantizeInt8(queryEmbedding);
+            firstPass = rows.map(row => ({ row, score: int8Dot(codes, row.int8) * scale * row.scale }));
+        }
+
+        const candidates = firstPass
+            .sort((a, b) => b.score - a.score)
+            .slice(0, Math.max(topK * this.rescoreFactor, 50));
+
+        // Rescore with the float query against the stored float vector when we still
+        // have it, otherwise against the dequantized int8 codes
+        const chunks = await documentDB.getChunksByIds(candidates.map(candidate => candidate.row.chunkId));
+        const similarities = candidates
+            .map(({ row }, i) => {
+                const chunk = chunks[i];
+                if (!chunk) return null;
+
+                const vector = chunk.embedding
+                    ? (chunk.embedding instanceof Float32Array ? chunk.embedding : new Float32Array(chunk.embedding))
+                    : dequantizeInt8(row.int8, row.scale);
+
+                return {
+                    chunk,
+                    similarity: embeddingGenerator.constructor.cosineSimilarity(queryEmbedding, vector),
+                    documentId: chunk.documentId
+                };
+            })
+            .filter(Boolean);
+
+        return { similarities, totalSearched: rows.length, method: `${mode}+rescore` };
+    }
+
+    // Compare the ANN index against an exact scan (recall@k over sampled stored vectors)
+    async checkIndexRecall(sampleSize = 20, k = 10) {
+        const report = await documentDB.annIndex.measureRecall(sampleSize, k);
+        console.log(`🧭 ANN recall@${report.k}: ${(report.recall * 100).toFixed(1)}% over ${report.queries} queries`);
+        return report;
+    }
+
     async searchInDocument(queryText, documentId, topK = this.defaultTopK) {
-        return await this.searchSimilarChunks(queryText, documentId, topK);
+        return await this.searchSimilarChunks(queryText, [documentId], topK);
     }
 
     async searchAllDocuments(queryText, topK = this.defaultTopK) {
         return await this.searchSimilarChunks(queryText, null, topK);
     }
 
-    // Hybrid search: combine vector search with keyword matching
-    async hybridSearch(queryText, documentId = null, topK = this.defaultTopK) {
-        try {
-            // Get vector search results
-            const vectorResults = await this.searchSimilarChunks(queryText, documentId, topK * 2);
-            
-            // Simple keyword matching for fallback
-            const keywords = queryText.toLowerCase().split(/\s+/).filter(word => word.length > 2);
-            
-            const enhancedResults = vectorResults.results.map(result => {
-                // Calculate keyword match score
-                const text = result.chunk.text.toLowerCase();
-                let keywordScore = 0;
-                
-                keywords.forEach(keyword => {
-                    const matches = (text.match(new RegExp(keyword, 'g')) || []).length;
-                    keywordScore += matches * 0.1; // Weight keyword matches
-                });
-                
-                // Combine vector similarity with keyword score
-                const combinedScore = result.similarity + keywordScore;
-                
+    /**
+     * Dispatch on search mode: 'vector', 'keyword' or 'hybrid'. documentIds limits the
+     * search to those documents (null searches everything); the response carries
+     * per-document result counts.
+     *
+     * queryText may use the syntax in queryParser.js. Filters narrow the documents and
+     * chunks searched, only the free text is embedded, and required phrases also feed
+     * the keyword ranking. Phrases and exclusions are checked on the retrieved passages,
+     * fetching more candidates while too few pass. A query that does not parse throws.
+     */
+    async search(queryText, { documentIds = null, topK = this.defaultTopK, mode = 'hybrid' } = {}) {
+        const parsed = parseQuery(queryText);
+        if (parsed.errors.length > 0) {
+            throw new Error(parsed.errors[0].message);
+        }
+
+        const scope = await this.applyQueryFilters(parsed, documentIds);
+        const vectorText = parsed.text;
+        const keywordText = [parsed.text, ...parsed.phrases].join(' ').trim();
+
+        const retrieve = async (count) => {
+            if (!keywordText) {
+                // Nothing to rank by, e.g. "doc:handbook page:3": list the matching passages
+                return this.listChunks(scope.documentIds, count, scope.chunkIds);
+            }
+            if (mode === 'keyword' || !vectorText) {
+                // Only phrases left: they are matched word for word, not embedded
+                return this.keywordSearch(keywordText, scope.documentIds, count, scope.chunkIds);
+            }
+            if (mode === 'vector') {
                 return {
-                    ...result,
-                    keywordScore,
-                    combinedScore
+                    ...await this.searchSimilarChunks(vectorText, scope.documentIds, count, scope.chunkIds),
+                    searchType: 'vector'
                 };
-            });
+            }
+            return this.hybridSearch(vectorText, scope.documentIds, count, scope.chunkIds, keywordText);
+        };
+
+        // Over-fetch so that collapsing near-duplicates still leaves topK distinct passages
+        const candidates = topK * 2;
+        let response = await retrieve(candidates);
+        if (hasTextFilters(parsed)) {
+            const accepts = createTextFilter(parsed);
+            let fetched = candidates;
+            let passing = response.results.filter(result => accepts(result.chunk));
+            // A short page means nothing more ranks; otherwise double until enough pass
+            while (passing.length < candidates && response.results.length >= fetched && fetched < this.maxFilteredCandidates) {
+                fetched = Math.min(fetched * 2, this.maxFilteredCandidates);
+                response = await retrieve(fetched);
+                passing = response.results.filter(result => accepts(result.chunk));
+            }
+            response = { ...response, results: passing.slice(0, candidates) };
+        }
+
+        const results = this.collapseNearDuplicates(response.results).slice(0, topK);
+        return {
+            ...response,
+            query: keywordText,
+            results,
+            hasResults: results.length > 0,
+            documentCounts: this.countByDocument(results)
+        };
+    }
+
+    /**
+     * Narrow a search to what the parsed query allows, reading no chunk rows. Document
+     * filters (name, tag, upload date) intersect documentIds; a page range becomes the
+     * ids of the chunks overlapping it. Returns { documentIds, chunkIds }, where chunkIds
+     * is a Set of allowed chunk ids or null when every chunk of those documents qualifies.
+     */
+    async applyQueryFilters(parsed, documentIds) {
+        documentIds = normalizeDocumentIds(documentIds);
+
+        if (hasDocumentFilters(parsed)) {
+            const matching = await documentDB.findDocumentIds(parsed.filters);
+            documentIds = documentIds ? matching.filter(id => documentIds.includes(id)) : matching;
+        }
+        if (!parsed.filters.pages) {
+            return { documentIds, chunkIds: null };
+        }
+
+        const chunkIds = await documentDB.findChunkIdsInPages(documentIds, parsed.filters.pages);
+        return { documentIds, chunkIds };
+    }
+
+    // Filter-only queries: matching chunks in document and reading order.
+    // Ids come from index keys; only the listed rows are loaded.
+    async listChunks(documentIds, topK, chunkIds = null) {
+        let ids = await documentDB.getChunkIdsInOrder(documentIds);
+        const totalSearched = ids.length;
+        if (chunkIds) {
+            ids = ids.filter(id => chunkIds.has(id));
+        }
+
+        const listed = (await documentDB.getChunksByIds(ids.slice(0, topK))).filter(Boolean);
+        const results = await this.attachDocumentInfo(listed.map(chunk => ({ chunk, documentId: chunk.documentId })));
+
+        return {
+            results,
+            query: '',
+            totalSearched,
+            hasResults: results.length > 0,
+            searchType: 'filter'
+        };
+    }
 
-            // Re-sort by combined score
-            enhancedResults.sort((a, b) => b.combinedScore - a.combinedScore);
+    // Fold results with (almost) the same text, e.g. one passage in two copies of a file,
+    // into the best-ranked one. The others are kept as result.duplicates.
+    collapseNearDuplicates(results) {
+        const kept = [];
+        results.forEach(result => {
+            const shingles = textShingles(result.chunk.text);
+            const original = kept.find(entry => jaccard(entry.shingles, shingles) >= this.duplicateSimilarity);
+            if (original) {
+                original.result.duplicates.push({
+                    documentId: result.documentId,
+                    documentName: result.documentName,
+                    chunk: result.chunk
+                });
+            } else {
+                kept.push({ result: { ...result, duplicates: [] }, shingles });
+            }
+        });
+        return kept.map(entry => entry.result);
+    }
+
+    // [{ documentId, documentName, count }] in order of each document's best result
+    countByDocument(results) {
+        const counts = new Map();
+        results.forEach(result => {
+            const entry = counts.get(result.documentId) || { documentId: result.documentId, documentName: result.documentName, count: 0 };
+            entry.count++;
+            counts.set(result.documentId, entry);
+        });
+        return [...counts.values()];
+    }
+
+    // BM25 over the inverted index; works without the embedding model
+    async keywordSearch(queryText, documentIds = null, topK = this.defaultTopK, chunkIds = null) {
+        try {
+            documentIds = normalizeDocumentIds(documentIds);
+            const hits = await documentDB.keywordIndex.search(queryText, topK, documentIds, chunkIds);
+            const chunks = await documentDB.getChunksByIds(hits.map(hit => hit.id));
+            const results = await this.attachDocumentInfo(hits
+                .map((hit, i) => chunks[i] && {
+                    chunk: chunks[i],
+                    documentId: chunks[i].documentId,
+                    keywordScore: hit.score,
+                    matchedTerms: hit.matchedTerms
+                })
+                .filter(Boolean));
+
+            return {
+                results,
+                query: queryText,
+                totalSearched: chunkIds ? chunkIds.size : await documentDB.keywordIndex.countChunks(documentIds),
+                hasResults: results.length > 0,
+                searchType: 'keyword'
+            };
+
+        } catch (error) {
+            console.error('Error during keyword search:', error);
+            throw error;
+        }
+    }
+
+    // Hybrid search: vector and BM25 retrieve candidates independently, then get fused.
+    // keywordText lets BM25 see terms kept out of the embedding, such as required phrases.
+    async hybridSearch(queryText, documentIds = null, topK = this.defaultTopK, chunkIds = null, keywordText = queryText) {
+        try {
+            documentIds = normalizeDocumentIds(documentIds);
+            const candidateCount = topK * this.fusion.candidateMultiplier;
+            // Until the embedding model is loaded, hybrid search is keyword search
+            const [vectorResults, keywordHits] = await Promise.all([
+                ingestWorker.isModelReady
+                    ? this.searchSimilarChunks(queryText, documentIds, candidateCount, chunkIds)
+                    : { results: [], totalSearched: 0 },
+                documentDB.keywordIndex.search(keywordText, candidateCount, documentIds, chunkIds)
+            ]);
+
+            const fusedResults = await this.fuseResults(vectorResults.results, keywordHits);
             
+            const keywordTotal = chunkIds ? chunkIds.size : await documentDB.keywordIndex.countChunks(documentIds);
             return {
-                results: enhancedResults.slice(0, topK),
+                results: fusedResults.slice(0, topK),
                 query: queryText,
-                totalSearched: vectorResults.totalSearched,
-                hasResults: enhancedResults.length > 0,
+                totalSearched: Math.max(vectorResults.totalSearched, keywordTotal),
+                hasResults: fusedResults.length > 0,
                 searchType: 'hybrid'
             };
 
@@ -147,6 +467,66 @@ class VectorSearch {
         }
     }
 
+    // Merge ranked vector results and BM25 hits by reciprocal rank fusion or weighted scores
+    async fuseResults(vectorResults, keywordHits) {
+        const merged = new Map();
+
+        vectorResults.forEach((result, rank) => {
+            merged.set(result.chunk.id, { ...result, vectorRank: rank + 1 });
+        });
+
+        // Chunks only the keyword index found still need their rows
+        const keywordOnly = keywordHits.filter(hit => !merged.has(hit.id));
+        const keywordChunks = await documentDB.getChunksByIds(keywordOnly.map(hit => hit.id));
+        const newResults = await this.attachDocumentInfo(keywordOnly
+            .map((hit, i) => keywordChunks[i] && { chunk: keywordChunks[i], documentId: keywordChunks[i].documentId })
+            .filter(Boolean));
+        newResults.forEach(result => merged.set(result.chunk.id, result));
+
+        keywordHits.forEach((hit, rank) => {
+            const result = merged.get(hit.id);
+            if (result) {
+                result.keywordScore = hit.score;
+                result.matchedTerms = hit.matchedTerms;
+                result.keywordRank = rank + 1;
+            }
+        });
+
+        const { method, rrfK, vectorWeight } = this.fusion;
+        const maxKeywordScore = keywordHits[0]?.score || 1;
+
+        const fused = [...merged.values()].map(result => {
+            let combinedScore;
+            if (method === 'weighted') {
+                combinedScore = vectorWeight * (result.similarity || 0) +
+                    (1 - vectorWeight) * ((result.keywordScore || 0) / maxKeywordScore);
+            } else {
+                combinedScore = (result.vectorRank ? 1 / (rrfK + result.vectorRank) : 0) +
+                    (result.keywordRank ? 1 / (rrfK + result.keywordRank) : 0);
+            }
+            return { ...result, keywordScore: result.keywordScore || 0, combinedScore };
+        });
+
+        return fused.sort((a, b) => b.combinedScore - a.combinedScore);
+    }
+
+    async attachDocumentInfo(results) {
+        return Promise.all(results.map(async (result) => {
+            const document = await documentDB.getDocument(result.documentId);
+            return {
+                ...result,
+                documentName: document?.filename || 'Unknown Document',
+                uploadDate: document?.uploadDate
+            };
+        }));
+    }
+
+    saveFusion(settings) {
+        this.fusion = { ...this.fusion, ...settings };
+        localStorage.setItem(FUSION_KEY, JSON.stringify(this.fusion));
+        return this.fusion;
+    }
+
     // Get search suggestions based on chunk content
     async getSearchSuggestions(documentId = null, limit = 5) {
         try {
@@ -194,7 +574,10 @@ class VectorSearch {
     }
 
     // Format search results for display
-    formatSearchResults(searchResponse) {
+    // groupByDocument lists results under one heading per document; the [n] labels keep
+    // the overall rank so citations in answers still point at the right chunk.
+    // sourcePrefix keeps element ids unique when several result lists share a page.
+    formatSearchResults(searchResponse, { groupByDocument = false, sourcePrefix = 'source-' } = {}) {
         if (!searchResponse.hasResults) {
             return {
                 html: '<div class="empty-state"><h3>No results found</h3><p>Try different keywords or check if the document has been processed.</p></div>',
@@ -202,19 +585,53 @@ class VectorSearch {
             };
         }
 
-        const resultsHtml = searchResponse.results.map((result, index) => {
-            const similarityPercent = Math.round(result.similarity * 100);
+        const renderResult = (result, index) => {
             const excerpt = this.highlightKeywords(result.chunk.text, searchResponse.query);
+
+            // Keyword-only hits have no similarity, vector-only hits no BM25 score
+            const scores = [];
+            if (result.similarity != null) {
+                scores.push(`Similarity: ${Math.round(result.similarity * 100)}%`);
+            }
+            if (result.keywordScore) {
+                scores.push(`BM25: ${result.keywordScore.toFixed(2)}`);
+            }
+            if (result.chunk.ocr) {
+                scores.push(`OCR text (${Math.round((result.chunk.ocrConfidence || 0) * 100)}% confidence)`);
+            }
             
             return `
-                <div class="result-item">
+                <div class="result-item" id="${sourcePrefix}${index + 1}">
                     <div class="result-score">
-                        Similarity: ${similarityPercent}% • Document: ${result.documentName} • Chunk ${result.chunk.chunkIndex + 1}
+                        [${index + 1}] ${scores.join(' • ')} • Document: ${escapeHtml(result.documentName)} • ${formatChunkLocation(result.chunk)}
+                        <button class="doc-btn view-source" data-result-index="${index}" title="Show this passage in the document">📄 View</button>
                     </div>
                     <div class="result-text">${excerpt}</div>
+                    ${result.duplicates?.length > 0 ? `
+                        <div class="result-duplicates">
+                            Also in: ${result.duplicates.map(duplicate => `${escapeHtml(duplicate.documentName)} (${formatChunkLocation(duplicate.chunk)})`).join(', ')}
+                        </div>
+                    ` : ''}
                 </div>
             `;
-        }).join('');
+        };
+
+        const ranked = searchResponse.results.map((result, index) => ({ result, index }));
+        let resultsHtml;
+        if (groupByDocument) {
+            const groups = this.countByDocument(searchResponse.results).map(group => `
+                <div class="result-group">
+                    <div class="result-group-header">${escapeHtml(group.documentName)} (${group.count})</div>
+                    ${ranked
+                        .filter(({ result }) => result.documentId === group.documentId)
+                        .map(({ result, index }) => renderResult(result, index))
+                        .join('')}
+                </div>
+            `);
+            resultsHtml = groups.join('');
+        } else {
+            resultsHtml = ranked.map(({ result, index }) => renderResult(result, index)).join('');
+        }
 
         return {
             html: resultsHtml,
@@ -223,24 +640,29 @@ class VectorSearch {
         };
     }
 
-    // Helper function to highlight keywords in text
-    highlightKeywords(text, query) {
-        if (!query || query.length < 2) return text;
-        
-        const keywords = query.toLowerCase().split(/\s+/).filter(word => word.length > 2);
-        let highlightedText = text;
-        
-        keywords.forEach(keyword => {
-            const regex = new RegExp(`(${keyword})`, 'gi');
-            highlightedText = highlightedText.replace(regex, '<mark>$1</mark>');
-        });
-        
-        // Truncate if too long
-        if (highlightedText.length > 400) {
-            highlightedText = highlightedText.substring(0, 400) + '...';
+    // Excerpt of a chunk as HTML with the query's words marked. Chunk text can contain
+    // literal markup (.txt, .md, .html uploads), so it is truncated, then escaped piece
+    // by piece around the matches.
+    highlightKeywords(text, query, maxLength = 400) {
+        const excerpt = text.length > maxLength ? text.substring(0, maxLength) : text;
+        const suffix = excerpt.length < text.length ? '...' : '';
+
+        const keywords = (query || '').toLowerCase().split(/\s+/).filter(word => word.length > 2);
+        if (keywords.length === 0) return escapeHtml(excerpt) + suffix;
+
+        // Longest first, so a longer keyword is marked whole rather than a shorter one inside it
+        const pattern = new RegExp(keywords
+            .sort((a, b) => b.length - a.length)
+            .map(escapeRegExp)
+            .join('|'), 'gi');
+
+        let html = '';
+        let last = 0;
+        for (const match of excerpt.matchAll(pattern)) {
+            html += `${escapeHtml(excerpt.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+            last = match.index + match[0].length;
         }
-        
-        return highlightedText;
+        return html + escapeHtml(excerpt.slice(last)) + suffix;
     }
 }
 
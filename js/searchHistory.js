@@ -0,0 +1,126 @@
+// js/searchHistory.js - Query history, pinned searches and change detection
+//
+// One entry per distinct search (query, scope, tags and mode); running it again updates
+// the entry. Each run records which documents were searchable and the top result chunk
+// ids, so the panel can flag entries whose library has changed since.
+import { documentDB } from './database.js';
+
+const MAX_UNPINNED = 200;
+
+class SearchHistory {
+    // Identity of a search: same key means re-running the same thing
+    entryKey({ query, scope, selectedDocumentIds = [], tags = [], mode }) {
+        const selection = scope === 'selected' ? [...selectedDocumentIds].sort((a, b) => a - b).join(',') : '';
+        return [mode, scope, selection, [...tags].sort().join(','), query.trim().toLowerCase()].join('|');
+    }
+
+    /**
+     * Record a run.
+     * search: { query, scope, scopeLabel, selectedDocumentIds, tags, mode }
+     * searchedDocumentIds: the ready documents the search could reach
+     * Returns { entry, resultsChanged } - resultsChanged is null on a first run.
+     */
+    async record(search, searchedDocumentIds, results) {
+        const key = this.entryKey(search);
+        const topResultIds = results.map(result => result.chunk.id);
+        const existing = await documentDB.findHistoryEntry(key);
+
+        const resultsChanged = existing
+            ? existing.topResultIds.join(',') !== topResultIds.join(',')
+            : null;
+
+        const entry = {
+            ...existing,
+            key,
+            query: search.query,
+            scope: search.scope,
+            scopeLabel: search.scopeLabel,
+            selectedDocumentIds: search.scope === 'selected' ? [...search.selectedDocumentIds] : [],
+            tags: [...search.tags],
+            mode: search.mode,
+            timestamp: new Date(),
+            runs: (existing?.runs || 0) + 1,
+            pinned: existing?.pinned || false,
+            searchedDocumentIds: [...searchedDocumentIds],
+            topResultIds,
+            resultCount: results.length
+        };
+        entry.id = await documentDB.putHistoryEntry(entry);
+
+        await this.prune();
+        return { entry, resultsChanged };
+    }
+
+    // Newest first, pinned searches on top; text filters on query and scope
+    async getEntries(filter = '') {
+        const needle = filter.trim().toLowerCase();
+        const entries = await documentDB.getHistoryEntries();
+        return entries
+            .filter(entry => !needle ||
+                entry.query.toLowerCase().includes(needle) ||
+                (entry.scopeLabel || '').toLowerCase().includes(needle))
+            .sort((a, b) => Number(b.pinned) - Number(a.pinned));
+    }
+
+    async togglePin(id, pinned) {
+        await documentDB.updateHistoryEntry(id, { pinned });
+    }
+
+    async remove(id) {
+        await documentDB.deleteHistoryEntries([id]);
+    }
+
+    // Pinned searches survive clearing
+    async clear() {
+        const entries = await documentDB.getHistoryEntries();
+        await documentDB.deleteHistoryEntries(entries.filter(entry => !entry.pinned).map(entry => entry.id));
+    }
+
+    async prune() {
+        const unpinned = (await documentDB.getHistoryEntries()).filter(entry => !entry.pinned);
+        if (unpinned.length > MAX_UNPINNED) {
+            await documentDB.deleteHistoryEntries(unpinned.slice(MAX_UNPINNED).map(entry => entry.id));
+        }
+    }
+
+    /**
+     * Ready documents an entry would search now, following the same rules as the
+     * search scope: every document, a collection, or the saved selection, narrowed
+     * by tags. Returns null when the entry's collection no longer exists.
+     */
+    currentScope(entry, documents, collections) {
+        let candidates;
+        if (entry.scope === 'all') {
+            candidates = documents;
+        } else if (entry.scope.startsWith('collection:')) {
+            const collection = collections.find(c => `collection:${c.id}` === entry.scope);
+            if (!collection) return null;
+            candidates = documents.filter(doc => collection.documentIds.includes(doc.id));
+        } else {
+            candidates = documents.filter(doc => entry.selectedDocumentIds.includes(doc.id));
+        }
+
+        return candidates
+            .filter(doc => doc.status === 'ready')
+            .filter(doc => entry.tags.every(tag => (doc.tags || []).includes(tag)))
+            .map(doc => doc.id);
+    }
+
+    // Documents added to or gone from an entry's scope since its last run
+    scopeChanges(entry, documents, collections) {
+        const current = this.currentScope(entry, documents, collections);
+        if (current === null) return { added: 0, removed: entry.searchedDocumentIds.length, missingScope: true };
+
+        const before = new Set(entry.searchedDocumentIds);
+        const now = new Set(current);
+        return {
+            added: current.filter(id => !before.has(id)).length,
+            removed: entry.searchedDocumentIds.filter(id => !now.has(id)).length,
+            missingScope: false
+        };
+    }
+}
+
+// Export the history instance
+export const searchHistory = new SearchHistory();
+window.searchHistory = searchHistory;
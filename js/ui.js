@@ -1,11 +1,31 @@
 // js/ui.js
 import { documentDB } from './database.js';
 import { vectorSearch } from './search.js';
+import { answerGenerator } from './answerGenerator.js';
+import { extractiveQA } from './extractiveQA.js';
+import { extractorRegistry } from './extractors.js';
+import { textChunker, CHUNKING_STRATEGIES } from './chunker.js';
+import { embeddingGenerator, EMBEDDING_BACKENDS, EMBEDDING_MODELS } from './embeddings.js';
+import { escapeHtml } from './utils.js';
+import { offlineManager } from './offline.js';
+import { libraryBackup } from './backup.js';
+import { uploadQueue, MAX_CONCURRENCY } from './uploadQueue.js';
+import { ocrEngine } from './ocr.js';
+import { pdfViewer } from './pdfViewer.js';
+import { searchHistory } from './searchHistory.js';
+import { conversation } from './conversation.js';
+import { parseQuery, hasDocumentFilters, hasChunkFilters } from './queryParser.js';
 
 class UIManager {
     constructor() {
-        this.selectedDocumentId = null;
+        this.selectedDocumentIds = new Set();
+        this.documents = [];
+        this.storedFileIds = new Set();  // documents whose original file is kept
+        this.storedPageIds = new Set();  // documents whose extracted page text is kept
+        this.documentFilter = { text: '', tag: '', sort: 'newest' };
+        this.searchTags = new Set();
         this.isProcessing = false;
+        this.answerAbortController = null;
         this.elements = {};
         this.initializeElements();
         this.attachEventListeners();
@@ -14,26 +34,271 @@ class UIManager {
     initializeElements() {
         // Cache DOM elements
         this.elements = {
+            sidebar: document.querySelector('.sidebar'),
             uploadBtn: document.getElementById('uploadBtn'),
             fileInput: document.getElementById('fileInput'),
+            folderBtn: document.getElementById('folderBtn'),
+            folderInput: document.getElementById('folderInput'),
+            uploadQueue: document.getElementById('uploadQueue'),
+            queueSummary: document.getElementById('queueSummary'),
+            queueProgress: document.getElementById('queueProgress'),
+            queueConcurrency: document.getElementById('queueConcurrency'),
+            clearFinishedBtn: document.getElementById('clearFinishedBtn'),
+            queueList: document.getElementById('queueList'),
+            threadSelect: document.getElementById('threadSelect'),
+            newThreadBtn: document.getElementById('newThreadBtn'),
+            deleteThreadBtn: document.getElementById('deleteThreadBtn'),
+            historyFilter: document.getElementById('historyFilter'),
+            historyList: document.getElementById('historyList'),
+            historyChangedCount: document.getElementById('historyChangedCount'),
+            clearHistoryBtn: document.getElementById('clearHistoryBtn'),
+            duplicatePrompt: document.getElementById('duplicatePrompt'),
+            chunkStrategy: document.getElementById('chunkStrategy'),
+            chunkMaxTokens: document.getElementById('chunkMaxTokens'),
+            chunkOverlap: document.getElementById('chunkOverlap'),
+            ocrEnabled: document.getElementById('ocrEnabled'),
+            ocrLanguage: document.getElementById('ocrLanguage'),
+            ocrLangPath: document.getElementById('ocrLangPath'),
+            embedBackend: document.getElementById('embedBackend'),
+            embedModel: document.getElementById('embedModel'),
+            embedModelSource: document.getElementById('embedModelSource'),
+            embedLocalPath: document.getElementById('embedLocalPath'),
+            importModelBtn: document.getElementById('importModelBtn'),
+            modelFolderInput: document.getElementById('modelFolderInput'),
+            offlineStatus: document.getElementById('offlineStatus'),
+            embedEndpoint: document.getElementById('embedEndpoint'),
+            embedHttpModel: document.getElementById('embedHttpModel'),
+            embedHashingDimension: document.getElementById('embedHashingDimension'),
+            embedBatchSize: document.getElementById('embedBatchSize'),
+            vectorSearchMode: document.getElementById('vectorSearchMode'),
+            dropFullPrecision: document.getElementById('dropFullPrecision'),
+            storageStats: document.getElementById('storageStats'),
+            exportLibraryBtn: document.getElementById('exportLibraryBtn'),
+            importLibraryBtn: document.getElementById('importLibraryBtn'),
+            libraryFileInput: document.getElementById('libraryFileInput'),
+            importMode: document.getElementById('importMode'),
+            importDuplicates: document.getElementById('importDuplicates'),
             documentList: document.getElementById('documentList'),
+            documentFilter: document.getElementById('documentFilter'),
+            documentTagFilter: document.getElementById('documentTagFilter'),
+            documentSort: document.getElementById('documentSort'),
+            bulkActions: document.getElementById('bulkActions'),
+            bulkCount: document.getElementById('bulkCount'),
+            selectAllBtn: document.getElementById('selectAllBtn'),
+            clearSelectionBtn: document.getElementById('clearSelectionBtn'),
+            bulkTagInput: document.getElementById('bulkTagInput'),
+            addTagBtn: document.getElementById('addTagBtn'),
+            removeTagBtn: document.getElementById('removeTagBtn'),
+            bulkCollection: document.getElementById('bulkCollection'),
+            addToCollectionBtn: document.getElementById('addToCollectionBtn'),
+            removeFromCollectionBtn: document.getElementById('removeFromCollectionBtn'),
+            knownTags: document.getElementById('knownTags'),
+            searchTagFilters: document.getElementById('searchTagFilters'),
             queryInput: document.getElementById('queryInput'),
+            queryErrors: document.getElementById('queryErrors'),
             searchBtn: document.getElementById('searchBtn'),
+            answerMode: document.getElementById('answerMode'),
+            searchMode: document.getElementById('searchMode'),
+            searchScope: document.getElementById('searchScope'),
+            saveCollectionBtn: document.getElementById('saveCollectionBtn'),
+            deleteCollectionBtn: document.getElementById('deleteCollectionBtn'),
+            groupByDocument: document.getElementById('groupByDocument'),
+            fusionMethod: document.getElementById('fusionMethod'),
+            fusionVectorWeight: document.getElementById('fusionVectorWeight'),
             resultsContainer: document.getElementById('resultsContainer'),
-            statusMessage: document.getElementById('statusMessage')
+            statusMessage: document.getElementById('statusMessage'),
+            answerBackendType: document.getElementById('answerBackendType'),
+            answerEndpoint: document.getElementById('answerEndpoint'),
+            answerModel: document.getElementById('answerModel'),
+            answerApiKey: document.getElementById('answerApiKey'),
+            saveAnswerSettingsBtn: document.getElementById('saveAnswerSettingsBtn')
         };
     }
 
     attachEventListeners() {
         // File upload
+        this.elements.fileInput.accept = extractorRegistry.getAcceptAttribute();
+
         this.elements.uploadBtn.addEventListener('click', () => {
             this.elements.fileInput.click();
         });
 
         this.elements.fileInput.addEventListener('change', (e) => {
             if (e.target.files.length > 0) {
-                this.handleFileUpload(e.target.files[0]);
+                this.enqueueFiles(e.target.files);
+            }
+            e.target.value = '';
+        });
+
+        this.elements.folderBtn.addEventListener('click', () => {
+            this.elements.folderInput.click();
+        });
+        this.elements.folderInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.enqueueFiles(e.target.files);
+            }
+            e.target.value = '';
+        });
+
+        // Files and folders dropped anywhere on the sidebar join the queue
+        this.elements.sidebar.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            this.elements.sidebar.classList.add('drag-over');
+        });
+        this.elements.sidebar.addEventListener('dragleave', (e) => {
+            if (!this.elements.sidebar.contains(e.relatedTarget)) {
+                this.elements.sidebar.classList.remove('drag-over');
+            }
+        });
+        this.elements.sidebar.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            this.elements.sidebar.classList.remove('drag-over');
+            this.enqueueFiles(await this.collectDroppedFiles(e.dataTransfer));
+        });
+
+        // Upload queue: per-item actions, concurrency and cleanup
+        let queueRenderPending = false;
+        window.addEventListener('uploadQueueChanged', () => {
+            if (queueRenderPending) return;
+            queueRenderPending = true;
+            requestAnimationFrame(() => {
+                queueRenderPending = false;
+                this.renderUploadQueue();
+            });
+        });
+        this.elements.queueList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            const id = parseInt(button.closest('.queue-item').dataset.itemId);
+            switch (button.dataset.action) {
+                case 'up': uploadQueue.move(id, -1); break;
+                case 'down': uploadQueue.move(id, 1); break;
+                case 'cancel': uploadQueue.cancel(id); break;
+                case 'retry': uploadQueue.retry(id); break;
+                case 'remove': uploadQueue.remove(id); break;
+            }
+        });
+        this.elements.queueConcurrency.max = MAX_CONCURRENCY;
+        this.elements.queueConcurrency.value = uploadQueue.settings.concurrency;
+        this.elements.queueConcurrency.addEventListener('change', () => {
+            this.elements.queueConcurrency.value = uploadQueue.setConcurrency(parseInt(this.elements.queueConcurrency.value));
+        });
+        this.elements.clearFinishedBtn.addEventListener('click', () => {
+            uploadQueue.clearFinished();
+        });
+
+        // Search history: filter, re-run, pin and delete
+        this.elements.historyFilter.addEventListener('input', () => this.renderSearchHistory());
+        this.elements.historyList.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            const id = parseInt(button.closest('.history-item').dataset.entryId);
+            switch (button.dataset.action) {
+                case 'run': await this.rerunSearch(id); break;
+                case 'pin': await searchHistory.togglePin(id, button.dataset.pinned !== 'true'); break;
+                case 'remove': await searchHistory.remove(id); break;
+            }
+            await this.renderSearchHistory();
+        });
+        this.elements.clearHistoryBtn.addEventListener('click', async () => {
+            await searchHistory.clear();
+            await this.renderSearchHistory();
+        });
+
+        // Chunking settings apply to the next upload
+        this.renderChunkingSettings();
+        this.elements.chunkStrategy.addEventListener('change', () => {
+            textChunker.saveConfig({ strategy: this.elements.chunkStrategy.value });
+            this.renderChunkingSettings();
+        });
+        [this.elements.chunkMaxTokens, this.elements.chunkOverlap].forEach(input => {
+            input.addEventListener('change', () => {
+                textChunker.saveConfig({
+                    maxTokens: Math.max(16, parseInt(this.elements.chunkMaxTokens.value) || 0),
+                    overlap: Math.max(0, parseInt(this.elements.chunkOverlap.value) || 0)
+                });
+                this.renderChunkingSettings();
+            });
+        });
+
+        // OCR fallback for scanned PDF pages
+        this.renderOcrSettings();
+        ocrEngine.applyDefaultAvailability().then(() => this.renderOcrSettings());
+        [this.elements.ocrEnabled, this.elements.ocrLanguage, this.elements.ocrLangPath].forEach(input => {
+            input.addEventListener('change', () => {
+                ocrEngine.saveSettings({
+                    enabled: this.elements.ocrEnabled.checked,
+                    language: this.elements.ocrLanguage.value.trim() || 'eng',
+                    langPath: this.elements.ocrLangPath.value.trim() || 'ocr/'
+                });
+                this.renderOcrSettings();
+                this.refreshOfflineStatus();
+                this.checkOcrLanguageData();
+            });
+        });
+
+        // Embedding backend and model; a change invalidates vectors made by the previous one
+        this.renderEmbeddingSettings();
+        [
+            this.elements.embedBackend,
+            this.elements.embedModel,
+            this.elements.embedModelSource,
+            this.elements.embedLocalPath,
+            this.elements.embedEndpoint,
+            this.elements.embedHttpModel,
+            this.elements.embedHashingDimension
+        ].forEach(input => {
+            input.addEventListener('change', () => this.handleEmbeddingSettingsChange());
+        });
+
+        this.elements.importModelBtn.addEventListener('click', () => {
+            this.elements.modelFolderInput.click();
+        });
+        this.elements.modelFolderInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.handleModelImport(e.target.files);
             }
+            e.target.value = '';
+        });
+        this.elements.offlineStatus.addEventListener('click', (e) => {
+            if (e.target.id === 'makeOfflineBtn') {
+                this.makeAvailableOffline();
+            }
+        });
+
+        this.elements.embedBatchSize.value = embeddingGenerator.settings.batchSize;
+        this.elements.embedBatchSize.addEventListener('change', () => {
+            const batchSize = Math.min(128, Math.max(1, parseInt(this.elements.embedBatchSize.value) || 1));
+            embeddingGenerator.saveSettings({ batchSize });
+            this.elements.embedBatchSize.value = batchSize;
+        });
+
+        // Vector storage: quantized first pass and optional float32 removal
+        this.elements.vectorSearchMode.value = documentDB.vectorStorage.searchMode;
+        this.elements.dropFullPrecision.checked = documentDB.vectorStorage.dropFullPrecision;
+        this.elements.vectorSearchMode.addEventListener('change', () => {
+            documentDB.saveVectorStorage({ searchMode: this.elements.vectorSearchMode.value });
+        });
+        this.elements.dropFullPrecision.addEventListener('change', () => {
+            this.handleDropFullPrecisionChange(this.elements.dropFullPrecision.checked);
+        });
+        this.elements.storageStats.closest('details').addEventListener('toggle', (e) => {
+            if (e.target.open) this.refreshStorageStats();
+        });
+
+        // Library backup and restore
+        this.elements.exportLibraryBtn.addEventListener('click', () => {
+            this.exportLibrary();
+        });
+        this.elements.importLibraryBtn.addEventListener('click', () => {
+            this.elements.libraryFileInput.click();
+        });
+        this.elements.libraryFileInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.importLibrary(e.target.files[0]);
+            }
+            e.target.value = '';
         });
 
         // Search functionality
@@ -48,50 +313,498 @@ class UIManager {
             }
         });
 
-        // Clear search on input change
         this.elements.queryInput.addEventListener('input', () => {
-            if (this.elements.queryInput.value.trim() === '') {
-                this.clearResults();
+            this.showQueryErrors(parseQuery(this.elements.queryInput.value).errors);
+        });
+
+        // Library filtering, sorting and bulk actions
+        this.elements.documentFilter.addEventListener('input', () => {
+            this.documentFilter.text = this.elements.documentFilter.value.trim().toLowerCase();
+            this.renderDocumentList(this.documents);
+        });
+        this.elements.documentTagFilter.addEventListener('change', () => {
+            this.documentFilter.tag = this.elements.documentTagFilter.value;
+            this.renderDocumentList(this.documents);
+        });
+        this.elements.documentSort.addEventListener('change', () => {
+            this.documentFilter.sort = this.elements.documentSort.value;
+            this.renderDocumentList(this.documents);
+        });
+        this.elements.selectAllBtn.addEventListener('click', () => {
+            this.filterDocuments(this.documents)
+                .filter(doc => doc.status === 'ready')
+                .forEach(doc => this.selectedDocumentIds.add(doc.id));
+            this.refreshDocumentList();
+        });
+        this.elements.clearSelectionBtn.addEventListener('click', () => {
+            this.selectedDocumentIds.clear();
+            this.refreshDocumentList();
+        });
+        this.elements.addTagBtn.addEventListener('click', () => this.handleBulkTags('add'));
+        this.elements.removeTagBtn.addEventListener('click', () => this.handleBulkTags('remove'));
+        this.elements.addToCollectionBtn.addEventListener('click', () => this.handleBulkCollection('add'));
+        this.elements.removeFromCollectionBtn.addEventListener('click', () => this.handleBulkCollection('remove'));
+
+        // Search tag filters narrow whatever scope is chosen
+        this.elements.searchTagFilters.addEventListener('click', (e) => {
+            const chip = e.target.closest('.tag-chip');
+            if (!chip) return;
+            const tag = chip.dataset.tag;
+            if (!this.searchTags.delete(tag)) {
+                this.searchTags.add(tag);
+            }
+            chip.classList.toggle('active', this.searchTags.has(tag));
+        });
+
+        // Search scope: selected documents, all documents or a saved collection
+        this.elements.searchScope.addEventListener('change', () => {
+            this.updateScopeControls();
+        });
+        this.elements.saveCollectionBtn.addEventListener('click', () => {
+            this.saveSelectionAsCollection();
+        });
+        this.elements.deleteCollectionBtn.addEventListener('click', () => {
+            this.deleteSelectedCollection();
+        });
+        this.elements.groupByDocument.addEventListener('change', () => {
+            this.renderResultsList();
+        });
+
+        // Conversation threads: start over, re-open a saved one or delete it
+        this.elements.newThreadBtn.addEventListener('click', () => {
+            this.clearResults();
+            this.elements.queryInput.focus();
+        });
+        this.elements.threadSelect.addEventListener('change', () => {
+            this.openThread(parseInt(this.elements.threadSelect.value));
+        });
+        this.elements.deleteThreadBtn.addEventListener('click', () => {
+            this.deleteCurrentThread();
+        });
+
+        // Citation links scroll to their source chunk; View buttons open it in the viewer
+        this.elements.resultsContainer.addEventListener('click', (e) => {
+            const citation = e.target.closest('.citation');
+            if (citation) {
+                e.preventDefault();
+                this.scrollToSource(citation.dataset.source);
             }
+
+            const viewButton = e.target.closest('.view-source');
+            if (viewButton) {
+                const turn = conversation.turns[parseInt(viewButton.closest('.thread-turn').dataset.turnIndex)];
+                pdfViewer.showHits(turn.response.results, parseInt(viewButton.dataset.resultIndex));
+            }
+        });
+
+        // Answer backend settings
+        this.loadAnswerSettings();
+        this.elements.saveAnswerSettingsBtn.addEventListener('click', () => {
+            this.saveAnswerSettings();
+        });
+    }
+
+    renderChunkingSettings() {
+        const config = textChunker.config;
+        this.elements.chunkStrategy.innerHTML = Object.entries(CHUNKING_STRATEGIES)
+            .map(([value, label]) => `<option value="${value}" ${value === config.strategy ? 'selected' : ''}>${label}</option>`)
+            .join('');
+        this.elements.chunkMaxTokens.value = config.maxTokens;
+        this.elements.chunkOverlap.value = config.overlap;
+
+        const unit = config.strategy === 'words' ? 'words' : 'tokens';
+        this.elements.chunkMaxTokens.title = `Maximum chunk size in ${unit}`;
+        this.elements.chunkOverlap.title = `Overlap between chunks in ${unit}`;
+    }
+
+    renderOcrSettings() {
+        const { enabled, language, langPath } = ocrEngine.settings;
+        this.elements.ocrEnabled.checked = enabled;
+        this.elements.ocrLanguage.value = language;
+        this.elements.ocrLangPath.value = langPath;
+        this.elements.ocrEnabled.closest('.settings-grid').querySelectorAll('[data-ocr]').forEach(element => {
+            element.hidden = !enabled;
+        });
+    }
+
+    // Warn as soon as OCR is switched on without its language data in place
+    async checkOcrLanguageData() {
+        if (!ocrEngine.settings.enabled) return;
+        const missing = await ocrEngine.findMissingLanguageData();
+        if (missing.length > 0) {
+            const { language, langPath } = ocrEngine.settings;
+            this.showStatus(
+                `OCR language data not found: add ${escapeHtml(language.split('+').map(code => `${code}.traineddata.gz`).join(', '))} ` +
+                `to the ${escapeHtml(langPath)} folder. Scanned pages are skipped until then.`,
+                'error'
+            );
+        }
+    }
+
+    renderEmbeddingSettings() {
+        const settings = embeddingGenerator.settings;
+
+        this.elements.embedBackend.innerHTML = Object.entries(EMBEDDING_BACKENDS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+        this.elements.embedModel.innerHTML = Object.entries(EMBEDDING_MODELS)
+            .map(([value, spec]) => `<option value="${value}">${spec.label}</option>`)
+            .join('');
+
+        this.elements.embedBackend.value = settings.backend;
+        this.elements.embedModel.value = settings.model;
+        this.elements.embedModelSource.value = settings.modelSource;
+        this.elements.embedLocalPath.value = settings.localModelPath;
+        this.elements.embedEndpoint.value = settings.endpoint;
+        this.elements.embedHttpModel.value = settings.httpModel;
+        this.elements.embedHashingDimension.value = settings.hashingDimension;
+
+        // Only show the fields of the selected backend (and model source)
+        this.elements.embedBackend.closest('.settings-grid').querySelectorAll('[data-backend]').forEach(element => {
+            element.hidden = element.dataset.backend !== settings.backend ||
+                (element.dataset.source !== undefined && element.dataset.source !== settings.modelSource);
+        });
+    }
+
+    handleEmbeddingSettingsChange() {
+        const hashingDimension = parseInt(this.elements.embedHashingDimension.value);
+        embeddingGenerator.saveSettings({
+            backend: this.elements.embedBackend.value,
+            model: this.elements.embedModel.value,
+            modelSource: this.elements.embedModelSource.value,
+            localModelPath: this.elements.embedLocalPath.value.trim() || 'models/',
+            endpoint: this.elements.embedEndpoint.value.trim(),
+            httpModel: this.elements.embedHttpModel.value.trim(),
+            hashingDimension: Number.isFinite(hashingDimension)
+                ? Math.min(4096, Math.max(64, hashingDimension))
+                : embeddingGenerator.settings.hashingDimension
         });
+        this.renderEmbeddingSettings();
+        window.dispatchEvent(new CustomEvent('embeddingSettingsChanged'));
+        this.refreshDocumentList();
+        this.refreshOfflineStatus();
+    }
+
+    async handleModelImport(files) {
+        try {
+            this.showStatus('Importing model files...', 'info');
+            const count = await offlineManager.importModelBundle(files);
+            this.elements.embedModelSource.value = 'local';
+            this.handleEmbeddingSettingsChange();
+            this.showStatus(`Imported ${count} files for ${escapeHtml(embeddingGenerator.settings.model)}. The model now loads without a network.`, 'success');
+        } catch (error) {
+            console.error('Error importing model:', error);
+            this.showStatus(`Error importing model: ${escapeHtml(error.message)}`, 'error');
+        }
     }
 
-    async handleFileUpload(file) {
-        if (!file.type === 'application/pdf') {
-            this.showStatus('Please select a PDF file.', 'error');
+    // Header indicator: are the app shell, libraries and model files all cached?
+    async refreshOfflineStatus() {
+        const element = this.elements.offlineStatus;
+        element.title = '';
+        if (!offlineManager.isSupported) {
+            element.textContent = '⚪ Offline mode is not supported in this browser';
             return;
         }
 
-        if (file.size > 50 * 1024 * 1024) { // 50MB limit
-            this.showStatus('File is too large. Please select a PDF smaller than 50MB.', 'error');
+        try {
+            const status = await offlineManager.checkStatus();
+            if (status.ready) {
+                element.textContent = `🟢 Offline ready (${status.total} files cached)`;
+            } else if (status.reason) {
+                element.textContent = `⚪ ${status.reason}`;
+            } else {
+                element.innerHTML = `🟠 Not offline ready: ${status.missing.length} of ${status.total} files missing ` +
+                    '<button class="doc-btn" id="makeOfflineBtn">Make available offline</button>';
+                element.title = status.missing.join('\n');
+            }
+        } catch (error) {
+            console.error('Error checking offline status:', error);
+            element.textContent = '⚪ Could not check offline status';
+        }
+    }
+
+    async makeAvailableOffline() {
+        try {
+            await offlineManager.makeAvailableOffline((done, total) => {
+                this.elements.offlineStatus.textContent = `⏳ Downloading for offline use: ${done}/${total} files`;
+            });
+        } catch (error) {
+            console.error('Error caching offline assets:', error);
+            this.showStatus(`Error preparing offline use: ${escapeHtml(error.message)}`, 'error');
+        }
+        await this.refreshOfflineStatus();
+    }
+
+    async exportLibrary() {
+        try {
+            this.elements.exportLibraryBtn.disabled = true;
+            const blob = await libraryBackup.exportLibrary((done, total, filename) => {
+                if (filename) this.showStatus(`Exporting ${escapeHtml(filename)} (${done + 1}/${total})...`, 'info');
+            });
+            const date = new Date().toISOString().slice(0, 10);
+            libraryBackup.downloadBlob(blob, `local-files-qa-library-${date}.zip`);
+            this.showStatus(`Library exported (${this.formatFileSize(blob.size)})`, 'success');
+        } catch (error) {
+            console.error('Error exporting library:', error);
+            this.showStatus(`Error exporting library: ${escapeHtml(error.message)}`, 'error');
+        } finally {
+            this.elements.exportLibraryBtn.disabled = false;
+        }
+    }
+
+    async importLibrary(file) {
+        if (this.isProcessing || uploadQueue.isRunning) {
+            this.showStatus('Wait for the upload queue to finish processing before importing', 'error');
             return;
         }
 
         try {
+            this.showStatus('Reading backup...', 'info');
+            const archive = await libraryBackup.readArchive(file);
+            const { manifest } = archive;
+            const compatibility = libraryBackup.checkCompatibility(manifest);
+            const mode = this.elements.importMode.value;
+            const duplicates = this.elements.importDuplicates.value;
+
+            const lines = [
+                `Import ${manifest.documents} document(s) and ${manifest.chunks} chunk(s) exported ${new Date(manifest.exportedAt).toLocaleString()}?`,
+                mode === 'replace'
+                    ? 'Your current documents and collections will be deleted first. Search history and threads are kept.'
+                    : `Documents already in your library will be ${{ skip: 'skipped', overwrite: 'overwritten', keep: 'kept twice' }[duplicates]}.`
+            ];
+            if (!compatibility.compatible) {
+                const models = compatibility.incompatible.map(fingerprint => `${fingerprint.model} (${fingerprint.dimension}d)`);
+                lines.push(`${compatibility.documentsToReembed} document(s) were embedded with ${models.join(', ')}, not ` +
+                    `${compatibility.activeModel}. They need re-embedding before semantic search covers them.`);
+            }
+            if (!confirm(lines.join('\n\n'))) {
+                this.clearStatus();
+                return;
+            }
+
             this.setProcessingState(true);
-            
-            // Create document record
-            const documentId = await documentDB.createDocument({
-                filename: file.name,
-                fileSize: file.size
+            const summary = await libraryBackup.importLibrary(archive, { mode, duplicates }, (done, total, filename) => {
+                if (filename) this.showStatus(`Importing ${escapeHtml(filename)} (${done + 1}/${total})...`, 'info');
             });
 
-            // Show processing status
-            this.showStatus('Processing document...', 'info');
             await this.refreshDocumentList();
+            this.showStatus(
+                `Imported ${summary.imported} document(s)` +
+                (summary.overwritten ? `, overwrote ${summary.overwritten}` : '') +
+                (summary.skipped ? `, skipped ${summary.skipped} duplicate(s)` : ''),
+                'success'
+            );
+            window.dispatchEvent(new CustomEvent('libraryImported', { detail: summary }));
+        } catch (error) {
+            console.error('Error importing library:', error);
+            this.showStatus(`Error importing library: ${escapeHtml(error.message)}`, 'error');
+        } finally {
+            this.setProcessingState(false);
+        }
+    }
 
-            // Trigger document processing (this will be handled by app.js)
-            window.dispatchEvent(new CustomEvent('documentUpload', {
-                detail: { file, documentId }
-            }));
+    async handleDropFullPrecisionChange(enabled) {
+        if (!enabled) {
+            documentDB.saveVectorStorage({ dropFullPrecision: false });
+            this.showStatus('New documents will keep full-precision vectors. Already compacted chunks stay quantized.', 'info');
+            return;
+        }
+
+        if (!confirm('Drop full-precision vectors for all stored chunks? Search will rescore with int8 vectors instead. Restoring full precision requires re-embedding.')) {
+            this.elements.dropFullPrecision.checked = false;
+            return;
+        }
 
+        try {
+            documentDB.saveVectorStorage({ dropFullPrecision: true });
+            await documentDB.compactEmbeddings((done, total) => {
+                this.showStatus(`Compacting vectors: ${done}/${total} chunks`, 'info');
+            });
+            await this.refreshStorageStats();
+            this.showStatus('Full-precision vectors removed. Only quantized vectors are stored now.', 'success');
         } catch (error) {
-            console.error('Error handling file upload:', error);
-            this.showStatus(`Error uploading file: ${error.message}`, 'error');
-            this.setProcessingState(false);
+            console.error('Error compacting vectors:', error);
+            this.showStatus(`Error compacting vectors: ${error.message}`, 'error');
         }
     }
 
+    async refreshStorageStats() {
+        const stats = await documentDB.getDatabaseStats();
+        const saved = stats.storageSavedBytes || 0;
+        const overhead = stats.quantizedOverheadBytes || 0;
+        this.elements.storageStats.textContent =
+            `Vectors: ${this.formatFileSize(stats.embeddingBytes || 0)} for ${stats.chunks} chunks` +
+            (saved > 0 ? ` (saved ${this.formatFileSize(saved)} by dropping full precision)` : '') +
+            (overhead > 0 ? `, of which ${this.formatFileSize(overhead)} are quantized copies kept for fast search` : '');
+    }
+
+    loadAnswerSettings() {
+        const config = answerGenerator.config;
+        this.elements.answerBackendType.value = config.type;
+        this.elements.answerEndpoint.value = config.endpoint;
+        this.elements.answerModel.value = config.model;
+        this.elements.answerApiKey.value = config.apiKey;
+
+        this.elements.fusionMethod.value = vectorSearch.fusion.method;
+        this.elements.fusionVectorWeight.value = vectorSearch.fusion.vectorWeight;
+    }
+
+    saveAnswerSettings() {
+        const type = this.elements.answerBackendType.value;
+        const endpoint = this.elements.answerEndpoint.value.trim();
+
+        if (type === 'openai' && !endpoint) {
+            this.showStatus('Please enter the endpoint URL of your chat server.', 'error');
+            return;
+        }
+
+        answerGenerator.saveConfig({
+            type,
+            endpoint,
+            model: this.elements.answerModel.value.trim(),
+            apiKey: this.elements.answerApiKey.value.trim()
+        });
+
+        const vectorWeight = parseFloat(this.elements.fusionVectorWeight.value);
+        vectorSearch.saveFusion({
+            method: this.elements.fusionMethod.value,
+            vectorWeight: Number.isFinite(vectorWeight) ? Math.min(1, Math.max(0, vectorWeight)) : vectorSearch.fusion.vectorWeight
+        });
+
+        this.showStatus(
+            answerGenerator.isConfigured()
+                ? 'Settings saved. Searches will now include a generated answer.'
+                : 'Answer generation disabled. Searches will show matching chunks only.',
+            'success'
+        );
+    }
+
+    async enqueueFiles(files) {
+        // "Apply to all" answers the remaining duplicates in this batch
+        let rememberedAction = null;
+        const resolveDuplicate = async (file, existing) => {
+            if (rememberedAction) return rememberedAction;
+            const { action, applyToAll } = await this.askDuplicateAction(file, existing);
+            if (applyToAll) rememberedAction = action;
+            return action;
+        };
+
+        try {
+            const { added, rejected } = await uploadQueue.add(files, resolveDuplicate);
+            if (rejected.length > 0) {
+                const reasons = rejected.map(({ name, reason }) => `${escapeHtml(name)} (${escapeHtml(reason)})`).join(', ');
+                this.showStatus(
+                    `Queued ${added} file(s). Skipped ${rejected.length}: ${reasons}. ` +
+                    `Supported formats: ${extractorRegistry.getSupportedFormats()}.`,
+                    added > 0 ? 'info' : 'error'
+                );
+            } else if (added > 0) {
+                this.showStatus(`Queued ${added} file(s) for processing...`, 'info');
+            }
+        } catch (error) {
+            console.error('Error queueing files:', error);
+            this.showStatus(`Error uploading files: ${escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    // Resolves to { action: 'skip' | 'replace' | 'version', applyToAll }. Uses its own
+    // panel so processing status messages cannot overwrite the question.
+    askDuplicateAction(file, existing) {
+        const prompt = this.elements.duplicatePrompt;
+        const names = existing.map(doc => `${escapeHtml(doc.filename)}${doc.version > 1 ? ` (v${doc.version})` : ''}`).join(', ');
+        prompt.innerHTML = `
+            <div><strong>${escapeHtml(file.name)}</strong> has the same content as ${names}.</div>
+            <div class="library-toolbar-row">
+                <button class="doc-btn" data-action="skip">Skip</button>
+                <button class="doc-btn" data-action="replace" title="Process it again and delete the older copy, keeping its tags and collections">Replace</button>
+                <button class="doc-btn" data-action="version">Keep as new version</button>
+            </div>
+            <label class="checkbox-label"><input type="checkbox" data-apply-all /> Apply to remaining duplicates</label>
+        `;
+        prompt.hidden = false;
+
+        return new Promise(resolve => {
+            const handleClick = (e) => {
+                const button = e.target.closest('[data-action]');
+                if (!button) return;
+                prompt.removeEventListener('click', handleClick);
+                const applyToAll = prompt.querySelector('[data-apply-all]').checked;
+                prompt.hidden = true;
+                prompt.innerHTML = '';
+                resolve({ action: button.dataset.action, applyToAll });
+            };
+            prompt.addEventListener('click', handleClick);
+        });
+    }
+
+    // Walk dropped folders (webkitGetAsEntry) as well as plain files
+    async collectDroppedFiles(dataTransfer) {
+        const entries = [...dataTransfer.items]
+            .map(item => item.webkitGetAsEntry?.())
+            .filter(Boolean);
+        if (entries.length === 0) {
+            return [...dataTransfer.files];
+        }
+
+        const files = [];
+        const walk = async (entry) => {
+            if (entry.isFile) {
+                files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+            } else if (entry.isDirectory) {
+                const reader = entry.createReader();
+                // readEntries returns at most 100 entries per call
+                let batch;
+                do {
+                    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                    for (const child of batch) {
+                        await walk(child);
+                    }
+                } while (batch.length > 0);
+            }
+        };
+
+        for (const entry of entries) {
+            await walk(entry);
+        }
+        return files;
+    }
+
+    renderUploadQueue() {
+        const summary = uploadQueue.getSummary();
+        this.elements.uploadQueue.hidden = summary.total === 0;
+        if (summary.total === 0) return;
+
+        const parts = [
+            summary.processing && `${summary.processing} processing`,
+            summary.queued && `${summary.queued} waiting`,
+            summary.done && `${summary.done} done`,
+            summary.error && `${summary.error} failed`,
+            summary.cancelled && `${summary.cancelled} cancelled`
+        ].filter(Boolean);
+        this.elements.queueSummary.textContent = parts.join(' • ');
+        this.elements.queueProgress.style.width = `${summary.progress}%`;
+
+        const statusLabels = { queued: 'Waiting', processing: 'Processing', done: 'Done', error: 'Failed', cancelled: 'Cancelled' };
+        this.elements.queueList.innerHTML = uploadQueue.items.map(item => `
+            <div class="queue-item ${item.status}" data-item-id="${item.id}">
+                <div class="queue-item-name" title="${escapeHtml(item.path)}">${escapeHtml(item.filename)}</div>
+                <div class="queue-item-status" title="${escapeHtml(item.error || '')}">
+                    ${statusLabels[item.status]}${item.status === 'processing' ? ` ${Math.round(item.progress || 0)}%` : ''}
+                </div>
+                <div class="queue-item-actions">
+                    ${item.status === 'queued' ? `
+                        <button class="doc-btn" data-action="up" title="Move up">↑</button>
+                        <button class="doc-btn" data-action="down" title="Move down">↓</button>
+                    ` : ''}
+                    ${['queued', 'processing'].includes(item.status) ? '<button class="doc-btn" data-action="cancel" title="Cancel">✕</button>' : ''}
+                    ${['error', 'cancelled'].includes(item.status) ? '<button class="doc-btn" data-action="retry" title="Retry">↻</button>' : ''}
+                    ${item.status !== 'processing' ? '<button class="doc-btn delete" data-action="remove" title="Remove from queue">🗑</button>' : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
     // Enhanced error handling for document processing
     async markDocumentError(documentId, errorMessage) {
         await documentDB.updateDocument(documentId, {
@@ -110,16 +823,46 @@ class UIManager {
         this.setProcessingState(false);
     }
 
+    showReembedPrompt(staleDocuments) {
+        const models = [...new Set(staleDocuments.map(doc => doc.embeddingModel || 'an unknown model'))];
+        this.showStatus(
+            `${staleDocuments.length} document(s) were embedded with ${escapeHtml(models.join(', '))} and are left out of ` +
+            `semantic search until they are re-embedded with ${escapeHtml(documentDB.activeEmbedding.model)}.` +
+            '<button onclick="app.reembedDocuments()" style="margin-left: 10px; padding: 4px 8px; background: #3b82f6; color: white; border: none; border-radius: 4px; cursor: pointer;">Re-embed in background</button>',
+            'info'
+        );
+    }
+
+    showResumePrompt(interruptedDocuments) {
+        const names = interruptedDocuments.map(doc => escapeHtml(doc.filename)).join(', ');
+        this.showStatus(
+            `Processing of ${names} was interrupted. Resume from where it stopped, or discard the partial import.` +
+            '<button onclick="app.resumeInterruptedDocuments()" style="margin-left: 10px; padding: 4px 8px; background: #3b82f6; color: white; border: none; border-radius: 4px; cursor: pointer;">Resume</button>' +
+            '<button onclick="app.discardInterruptedDocuments()" style="margin-left: 6px; padding: 4px 8px; background: #6b7280; color: white; border: none; border-radius: 4px; cursor: pointer;">Discard</button>',
+            'info'
+        );
+    }
+
+    // Each question becomes a turn of the current thread. Follow-ups are rewritten into
+    // standalone queries first, and retrieval and answers use the rewritten query.
     async handleSearch() {
-        const query = this.elements.queryInput.value.trim();
+        const question = this.elements.queryInput.value.trim();
         
-        if (!query) {
+        if (!question) {
             this.showStatus('Please enter a question to search.', 'error');
             return;
         }
 
-        if (!this.selectedDocumentId) {
-            this.showStatus('Please select a document to search.', 'error');
+        const parsed = parseQuery(question);
+        this.showQueryErrors(parsed.errors);
+        if (parsed.errors.length > 0) {
+            this.elements.queryInput.focus();
+            return;
+        }
+
+        const documentIds = await this.resolveSearchScope();
+        if (documentIds && documentIds.length === 0) {
+            this.showStatus('Please select one or more documents, or search all documents.', 'error');
             return;
         }
 
@@ -127,66 +870,375 @@ class UIManager {
             this.setSearchState(true);
             this.showStatus('Searching...', 'info');
 
+            // Filters and phrases are meant literally, so structured queries are not rewritten
+            const { query, method } = hasDocumentFilters(parsed) || hasChunkFilters(parsed)
+                ? { query: question, method: 'none' }
+                : await conversation.rewrite(question);
+            const mode = this.elements.searchMode.value;
+
             // Perform search
-            const searchResults = await vectorSearch.hybridSearch(
-                query, 
-                this.selectedDocumentId, 
-                5
-            );
+            const searchResults = await vectorSearch.search(query, {
+                documentIds,
+                topK: 5,
+                mode
+            });
 
-            // Display results
-            this.displaySearchResults(searchResults);
+            // Display results as a new turn
+            const turn = await conversation.addTurn({
+                question,
+                query,
+                rewriteMethod: method,
+                mode,
+                scopeLabel: this.describeSearchScope(),
+                response: searchResults
+            });
+            const thread = conversation.thread;
+            const turnElement = this.appendTurn(turn, thread.turns.length - 1);
+            turnElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            this.elements.queryInput.value = '';
             this.clearStatus();
+            await this.recordSearch(query, documentIds, searchResults.results);
+            await this.renderThreadList();
+
+            // Answers work from the free text and phrases, not the filter syntax
+            const answerQuery = searchResults.query;
+            if (searchResults.hasResults && answerQuery) {
+                const answerMode = this.elements.answerMode.value;
+
+                if (answerMode === 'extract') {
+                    const html = await this.showExtractedAnswer(answerQuery, searchResults.results, turnElement);
+                    if (html) await conversation.setAnswer(thread, turn, { kind: 'extracted', html });
+                } else if (answerMode === 'generate' && answerGenerator.isConfigured()) {
+                    // Generate a cited answer on top of the chunks when a backend is configured
+                    const text = await this.streamAnswer(answerQuery, searchResults.results, turnElement);
+                    if (text) await conversation.setAnswer(thread, turn, { kind: 'generated', text });
+                }
+            }
 
         } catch (error) {
             console.error('Error during search:', error);
-            this.showStatus(`Search error: ${error.message}`, 'error');
+            this.showStatus(`Search error: ${escapeHtml(error.message)}`, 'error');
         } finally {
             this.setSearchState(false);
         }
     }
 
+    // Parse problems are listed under the query input as the user types
+    showQueryErrors(errors) {
+        const { queryInput, queryErrors } = this.elements;
+        queryInput.classList.toggle('invalid', errors.length > 0);
+        queryErrors.hidden = errors.length === 0;
+        queryErrors.innerHTML = errors
+            .map(error => `<div><code>${escapeHtml(error.token)}</code> ${escapeHtml(error.message)}</div>`)
+            .join('');
+    }
+
+    // Save the run in the history and say whether the top results moved since last time
+    async recordSearch(query, documentIds, results) {
+        try {
+            const ready = new Set(this.documents.filter(doc => doc.status === 'ready').map(doc => doc.id));
+            const searchedDocumentIds = (documentIds || [...ready]).filter(id => ready.has(id));
+            const { resultsChanged } = await searchHistory.record({
+                query,
+                scope: this.elements.searchScope.value,
+                scopeLabel: this.describeSearchScope(),
+                selectedDocumentIds: [...this.selectedDocumentIds],
+                tags: [...this.searchTags],
+                mode: this.elements.searchMode.value
+            }, searchedDocumentIds, results);
+
+            if (resultsChanged) {
+                this.showStatus('The top results changed since you last ran this search.', 'info');
+            }
+            await this.renderSearchHistory();
+        } catch (error) {
+            console.error('Error recording search history:', error);
+        }
+    }
+
+    describeSearchScope() {
+        const scope = this.elements.searchScope.value;
+        let label;
+        if (scope === 'all') {
+            label = 'All documents';
+        } else if (scope.startsWith('collection:')) {
+            label = this.elements.searchScope.selectedOptions[0].textContent.replace(/\s*\(\d+\)$/, '').trim();
+        } else {
+            const names = this.documents.filter(doc => this.selectedDocumentIds.has(doc.id)).map(doc => doc.filename);
+            label = names.length <= 2 ? names.join(', ') : `${names.length} selected documents`;
+        }
+        return this.searchTags.size > 0 ? `${label} • tags: ${[...this.searchTags].join(', ')}` : label;
+    }
+
+    async renderSearchHistory() {
+        const [entries, collections] = await Promise.all([
+            searchHistory.getEntries(this.elements.historyFilter.value),
+            documentDB.getCollections()
+        ]);
+        const modeLabels = { hybrid: 'Hybrid', vector: 'Semantic', keyword: 'Keyword' };
+        let changedCount = 0;
+
+        this.elements.historyList.innerHTML = entries.length === 0
+            ? '<div class="history-empty">No searches yet</div>'
+            : entries.map(entry => {
+                const { added, removed, missingScope } = searchHistory.scopeChanges(entry, this.documents, collections);
+                const changed = added > 0 || removed > 0;
+                if (changed) changedCount++;
+                const changeDetails = missingScope
+                    ? 'The collection was deleted'
+                    : [added && `${added} new document(s)`, removed && `${removed} document(s) gone`].filter(Boolean).join(', ') + ' since the last run';
+
+                return `
+                    <div class="history-item ${entry.pinned ? 'pinned' : ''}" data-entry-id="${entry.id}">
+                        <div class="history-query" title="${escapeHtml(entry.query)}">${escapeHtml(entry.query)}</div>
+                        <div class="history-meta">
+                            ${escapeHtml(entry.scopeLabel || '')} • ${modeLabels[entry.mode] || entry.mode} •
+                            ${new Date(entry.timestamp).toLocaleString()} • ${entry.resultCount} result(s)
+                            ${changed ? `<span class="history-changed" title="${changeDetails}">● Results may have changed</span>` : ''}
+                        </div>
+                        <div class="history-actions">
+                            <button class="doc-btn" data-action="run" title="Run again">↻ Run</button>
+                            <button class="doc-btn" data-action="pin" data-pinned="${entry.pinned}" title="${entry.pinned ? 'Unpin' : 'Pin as saved search'}">${entry.pinned ? '★' : '☆'}</button>
+                            <button class="doc-btn delete" data-action="remove" title="Remove from history">🗑</button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+
+        this.elements.historyChangedCount.textContent = changedCount > 0 ? `(${changedCount} changed)` : '';
+    }
+
+    // Restore a history entry's query, mode, scope and tags, then search again
+    async rerunSearch(id) {
+        const entry = (await searchHistory.getEntries()).find(item => item.id === id);
+        if (!entry) return;
+
+        if (entry.scope.startsWith('collection:') &&
+            ![...this.elements.searchScope.options].some(option => option.value === entry.scope)) {
+            this.showStatus('The collection this search used no longer exists.', 'error');
+            return;
+        }
+
+        if (entry.scope === 'selected') {
+            const ready = new Set(this.documents.filter(doc => doc.status === 'ready').map(doc => doc.id));
+            this.selectedDocumentIds = new Set(entry.selectedDocumentIds.filter(docId => ready.has(docId)));
+        }
+        this.searchTags = new Set(entry.tags);
+        this.elements.searchScope.value = entry.scope;
+        this.elements.searchMode.value = entry.mode;
+        this.elements.queryInput.value = entry.query;
+        await this.refreshDocumentList();
+
+        // A saved search is already standalone, so it starts its own thread
+        this.clearResults();
+        await this.handleSearch();
+    }
+
     async refreshDocumentList() {
         try {
-            const documents = await documentDB.getAllDocuments();
+            const [documents, tags, storedFileIds, storedPageIds] = await Promise.all([
+                documentDB.getAllDocuments(),
+                documentDB.getAllTags(),
+                documentDB.getDocumentIdsWithFiles(),
+                documentDB.getDocumentIdsWithPages()
+            ]);
+
+            // Forget selections of documents that no longer exist
+            const existing = new Set(documents.map(doc => doc.id));
+            this.selectedDocumentIds.forEach(id => {
+                if (!existing.has(id)) this.selectedDocumentIds.delete(id);
+            });
+
+            this.documents = documents;
+            this.storedFileIds = storedFileIds;
+            this.storedPageIds = storedPageIds;
+            this.renderTagControls(tags);
             this.renderDocumentList(documents);
+            await this.renderSearchScopes();
+            await this.renderSearchHistory();
+
+            if (documents.some(doc => doc.status === 'ready')) {
+                this.enableSearch();
+            } else {
+                this.disableSearch();
+            }
         } catch (error) {
             console.error('Error refreshing document list:', error);
             this.showStatus('Error loading documents.', 'error');
         }
     }
 
+    // Documents matching the sidebar name and tag filters, in the chosen order
+    filterDocuments(documents) {
+        const { text, tag, sort } = this.documentFilter;
+        const comparators = {
+            newest: (a, b) => new Date(b.uploadDate) - new Date(a.uploadDate),
+            oldest: (a, b) => new Date(a.uploadDate) - new Date(b.uploadDate),
+            name: (a, b) => a.filename.localeCompare(b.filename, undefined, { numeric: true }),
+            size: (a, b) => (b.fileSize || 0) - (a.fileSize || 0),
+            // Untagged documents last, then by first tag and name
+            tag: (a, b) => {
+                const tagA = [...(a.tags || [])].sort()[0];
+                const tagB = [...(b.tags || [])].sort()[0];
+                if (tagA && tagB) return tagA.localeCompare(tagB) || comparators.name(a, b);
+                if (tagA || tagB) return tagA ? -1 : 1;
+                return comparators.name(a, b);
+            }
+        };
+
+        return documents
+            .filter(doc => !text || doc.filename.toLowerCase().includes(text))
+            .filter(doc => !tag || (doc.tags || []).includes(tag))
+            .sort(comparators[sort] || comparators.newest);
+    }
+
+    renderTagControls(tags) {
+        // Drop filters for tags that no longer exist
+        if (this.documentFilter.tag && !tags.includes(this.documentFilter.tag)) {
+            this.documentFilter.tag = '';
+        }
+        this.searchTags.forEach(tag => {
+            if (!tags.includes(tag)) this.searchTags.delete(tag);
+        });
+
+        this.elements.documentTagFilter.innerHTML = `<option value="">All tags</option>` +
+            tags.map(tag => `<option value="${escapeHtml(tag)}">${escapeHtml(tag)}</option>`).join('');
+        this.elements.documentTagFilter.value = this.documentFilter.tag;
+
+        this.elements.knownTags.innerHTML = tags.map(tag => `<option value="${escapeHtml(tag)}"></option>`).join('');
+
+        this.elements.searchTagFilters.innerHTML = tags.map(tag => `
+            <span class="tag-chip ${this.searchTags.has(tag) ? 'active' : ''}" data-tag="${escapeHtml(tag)}">${escapeHtml(tag)}</span>
+        `).join('');
+    }
+
+    renderBulkActions(collections) {
+        const count = this.selectedDocumentIds.size;
+        this.elements.bulkActions.hidden = count === 0;
+        this.elements.bulkCount.textContent = `${count} selected`;
+
+        const current = this.elements.bulkCollection.value;
+        this.elements.bulkCollection.innerHTML = collections.length > 0
+            ? collections.map(collection => `<option value="${collection.id}">${escapeHtml(collection.name)}</option>`).join('')
+            : '<option value="">No collections yet</option>';
+        if (collections.some(collection => String(collection.id) === current)) {
+            this.elements.bulkCollection.value = current;
+        }
+        this.elements.addToCollectionBtn.disabled = collections.length === 0;
+        this.elements.removeFromCollectionBtn.disabled = collections.length === 0;
+    }
+
+    async handleBulkTags(action) {
+        const tags = this.elements.bulkTagInput.value.split(',').map(tag => tag.trim()).filter(Boolean);
+        if (tags.length === 0) {
+            this.showStatus('Enter one or more tags, separated by commas.', 'error');
+            return;
+        }
+
+        try {
+            const documentIds = [...this.selectedDocumentIds];
+            if (action === 'add') {
+                await documentDB.addTags(documentIds, tags);
+            } else {
+                await documentDB.removeTags(documentIds, tags);
+            }
+            this.elements.bulkTagInput.value = '';
+            await this.refreshDocumentList();
+            this.showStatus(
+                `${action === 'add' ? 'Tagged' : 'Untagged'} ${documentIds.length} document(s): ${escapeHtml(tags.join(', '))}.`,
+                'success'
+            );
+        } catch (error) {
+            console.error('Error updating tags:', error);
+            this.showStatus(`Error updating tags: ${error.message}`, 'error');
+        }
+    }
+
+    async handleBulkCollection(action) {
+        const collectionId = parseInt(this.elements.bulkCollection.value);
+        if (!collectionId) return;
+
+        try {
+            const documentIds = [...this.selectedDocumentIds];
+            if (action === 'add') {
+                await documentDB.addToCollection(collectionId, documentIds);
+            } else {
+                await documentDB.removeFromCollection(collectionId, documentIds);
+            }
+            await this.renderSearchScopes();
+            const name = this.elements.bulkCollection.selectedOptions[0]?.textContent || 'collection';
+            this.showStatus(
+                `${action === 'add' ? 'Added' : 'Removed'} ${documentIds.length} document(s) ${action === 'add' ? 'to' : 'from'} ${escapeHtml(name)}.`,
+                'success'
+            );
+        } catch (error) {
+            console.error('Error updating collection:', error);
+            this.showStatus(`Error updating collection: ${error.message}`, 'error');
+        }
+    }
+
     renderDocumentList(documents) {
         if (documents.length === 0) {
             this.elements.documentList.innerHTML = `
                 <div class="empty-state">
                     <h3>No documents yet</h3>
-                    <p>Upload your first PDF to get started</p>
+                    <p>Upload your first document to get started</p>
                 </div>
             `;
             return;
         }
 
-        const documentsHtml = documents.map(doc => {
-            const isSelected = doc.id === this.selectedDocumentId;
-            const statusClass = doc.status || 'ready';
+        const visible = this.filterDocuments(documents);
+        if (visible.length === 0) {
+            this.elements.documentList.innerHTML = `
+                <div class="empty-state">
+                    <h3>No matching documents</h3>
+                    <p>Change the name or tag filter to see more</p>
+                </div>
+            `;
+            return;
+        }
+
+        const documentsHtml = visible.map(doc => {
+            const isSelected = this.selectedDocumentIds.has(doc.id);
+            const statusClass = escapeHtml(doc.status || 'ready');
             const statusText = this.getStatusText(doc.status);
             const uploadDate = new Date(doc.uploadDate).toLocaleDateString();
+            const format = extractorRegistry.getExtractorByName(doc.extractor || 'pdf')?.label || 'Unknown';
+            const hasFile = this.storedFileIds.has(doc.id);
+            const canReindex = ['ready', 'error'].includes(doc.status) && (hasFile || this.storedPageIds.has(doc.id));
             
             return `
                 <div class="document-item ${isSelected ? 'selected' : ''}" 
                      data-doc-id="${doc.id}">
-                    <div class="doc-name">${doc.filename}</div>
+                    <div class="doc-name">${escapeHtml(doc.filename)}${doc.version > 1 ? ` <span class="doc-version">v${escapeHtml(doc.version)}</span>` : ''}</div>
                     <div class="doc-meta">
-                        Uploaded: ${uploadDate}<br>
+                        ${escapeHtml(format)} • Uploaded: ${uploadDate}<br>
                         Chunks: ${doc.totalChunks || 0} | Size: ${this.formatFileSize(doc.fileSize)}
+                        ${doc.status === 'ready' && !documentDB.matchesActiveEmbedding(doc) ? '<br>⚠️ Needs re-embedding' : ''}
+                        ${doc.status === 'ready' && !canReindex ? '<br>Original not stored; upload again to re-index' : ''}
+                        ${doc.chunking ? `<br>Chunking: ${escapeHtml(CHUNKING_STRATEGIES[doc.chunking.strategy] || doc.chunking.strategy)} (${escapeHtml(`${doc.chunking.maxTokens}/${doc.chunking.overlap}`)})` : ''}
                     </div>
+                    ${(doc.tags || []).length > 0 ? `
+                        <div class="doc-tags">
+                            ${doc.tags.map(tag => `<span class="tag-chip" data-tag="${escapeHtml(tag)}">${escapeHtml(tag)}</span>`).join('')}
+                        </div>
+                    ` : ''}
                     <div class="doc-status ${statusClass}">${statusText}</div>
-                    ${doc.status === 'processing' ? this.renderProgressBar(doc.processingProgress || 0) : ''}
+                    ${['processing', 'interrupted'].includes(doc.status) ? this.renderProgressBar(doc.processingProgress || 0) : ''}
                     <div class="doc-actions">
+                        ${doc.status === 'interrupted' ? `
+                            <button class="doc-btn" onclick="app.resumeDocument(${doc.id})">Resume</button>
+                        ` : ''}
                         <button class="doc-btn select-btn" ${doc.status !== 'ready' ? 'disabled' : ''}>
                             ${isSelected ? 'Selected' : 'Select'}
                         </button>
+                        ${canReindex ? `
+                            <button class="doc-btn" onclick="app.reindexDocument(${doc.id})" title="Rebuild chunks and vectors with the current settings">Re-index</button>
+                        ` : ''}
+                        ${hasFile ? `
+                            <button class="doc-btn" onclick="ui.downloadOriginal(${doc.id})" title="Download the original file">⬇ Original</button>
+                        ` : ''}
                         <button class="doc-btn delete" onclick="ui.deleteDocument(${doc.id})">
                             Delete
                         </button>
@@ -200,11 +1252,18 @@ class UIManager {
         // Attach click listeners for document selection
         this.elements.documentList.querySelectorAll('.document-item').forEach(item => {
             item.addEventListener('click', (e) => {
+                // A tag on a document filters the list by that tag
+                if (e.target.classList.contains('tag-chip')) {
+                    this.documentFilter.tag = e.target.dataset.tag;
+                    this.elements.documentTagFilter.value = this.documentFilter.tag;
+                    this.renderDocumentList(this.documents);
+                    return;
+                }
                 if (!e.target.classList.contains('doc-btn')) {
                     const docId = parseInt(item.dataset.docId);
                     const doc = documents.find(d => d.id === docId);
                     if (doc && doc.status === 'ready') {
-                        this.selectDocument(docId);
+                        this.toggleDocumentSelection(docId);
                     }
                 }
             });
@@ -219,17 +1278,115 @@ class UIManager {
         `;
     }
 
-    selectDocument(documentId) {
-        this.selectedDocumentId = documentId;
-        this.enableSearch();
+    toggleDocumentSelection(documentId) {
+        if (this.selectedDocumentIds.has(documentId)) {
+            this.selectedDocumentIds.delete(documentId);
+        } else {
+            this.selectedDocumentIds.add(documentId);
+        }
+
+        // Picking documents implies searching them
+        this.elements.searchScope.value = 'selected';
         this.refreshDocumentList();
         this.clearResults();
-        
-        // Update query input placeholder
-        const doc = this.elements.documentList.querySelector(`[data-doc-id="${documentId}"]`);
-        if (doc) {
-            const filename = doc.querySelector('.doc-name').textContent;
-            this.elements.queryInput.placeholder = `Ask a question about ${filename}...`;
+    }
+
+    // Document ids for the current scope and tag filters; null means every document
+    async resolveSearchScope() {
+        const scope = this.elements.searchScope.value;
+        let documentIds;
+        if (scope === 'all') {
+            documentIds = null;
+        } else if (scope.startsWith('collection:')) {
+            const collection = await documentDB.getCollection(parseInt(scope.slice('collection:'.length)));
+            documentIds = collection?.documentIds || [];
+        } else {
+            documentIds = [...this.selectedDocumentIds];
+        }
+
+        if (this.searchTags.size === 0) return documentIds;
+
+        const tagged = await documentDB.getDocumentIdsByTags([...this.searchTags]);
+        return documentIds ? documentIds.filter(id => tagged.includes(id)) : tagged;
+    }
+
+    async renderSearchScopes() {
+        const collections = await documentDB.getCollections();
+        this.renderBulkActions(collections);
+        const current = this.elements.searchScope.value || 'selected';
+
+        this.elements.searchScope.innerHTML = `
+            <option value="selected">Selected documents (${this.selectedDocumentIds.size})</option>
+            <option value="all">All documents</option>
+            ${collections.length > 0 ? `
+                <optgroup label="Collections">
+                    ${collections.map(collection => `
+                        <option value="collection:${collection.id}">${escapeHtml(collection.name)} (${collection.documentIds.length})</option>
+                    `).join('')}
+                </optgroup>
+            ` : ''}
+        `;
+
+        const stillExists = [...this.elements.searchScope.options].some(option => option.value === current);
+        this.elements.searchScope.value = stillExists ? current : 'selected';
+        this.updateScopeControls();
+    }
+
+    updateScopeControls() {
+        const scope = this.elements.searchScope.value;
+        const selectedOption = this.elements.searchScope.selectedOptions[0];
+        this.elements.deleteCollectionBtn.hidden = !scope.startsWith('collection:');
+        this.elements.saveCollectionBtn.disabled = this.selectedDocumentIds.size === 0;
+
+        if (scope === 'all') {
+            this.elements.queryInput.placeholder = 'Ask a question about all your documents...';
+        } else if (scope.startsWith('collection:')) {
+            this.elements.queryInput.placeholder = `Ask a question about ${selectedOption.textContent.trim()}...`;
+        } else if (this.selectedDocumentIds.size === 1) {
+            const [documentId] = this.selectedDocumentIds;
+            const doc = this.elements.documentList.querySelector(`[data-doc-id="${documentId}"] .doc-name`);
+            this.elements.queryInput.placeholder = `Ask a question about ${doc ? doc.textContent : 'the selected document'}...`;
+        } else if (this.selectedDocumentIds.size > 1) {
+            this.elements.queryInput.placeholder = `Ask a question about ${this.selectedDocumentIds.size} selected documents...`;
+        } else {
+            this.elements.queryInput.placeholder = 'Select documents, or search all of them';
+        }
+    }
+
+    async saveSelectionAsCollection() {
+        if (this.selectedDocumentIds.size === 0) {
+            this.showStatus('Select the documents to put in the collection first.', 'error');
+            return;
+        }
+
+        const name = prompt('Collection name:')?.trim();
+        if (!name) return;
+
+        try {
+            const id = await documentDB.createCollection(name, [...this.selectedDocumentIds]);
+            await this.renderSearchScopes();
+            this.elements.searchScope.value = `collection:${id}`;
+            this.updateScopeControls();
+            this.showStatus(`Collection "${escapeHtml(name)}" saved with ${this.selectedDocumentIds.size} documents.`, 'success');
+        } catch (error) {
+            console.error('Error saving collection:', error);
+            this.showStatus(`Error saving collection: ${escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    async deleteSelectedCollection() {
+        const scope = this.elements.searchScope.value;
+        if (!scope.startsWith('collection:')) return;
+        if (!confirm('Delete this collection? Its documents are kept.')) return;
+
+        try {
+            await documentDB.deleteCollection(parseInt(scope.slice('collection:'.length)));
+            this.elements.searchScope.value = 'selected';
+            await this.renderSearchScopes();
+            this.showStatus('Collection deleted.', 'success');
+        } catch (error) {
+            console.error('Error deleting collection:', error);
+            this.showStatus(`Error deleting collection: ${error.message}`, 'error');
         }
     }
 
@@ -241,9 +1398,7 @@ class UIManager {
         try {
             await documentDB.deleteDocument(documentId);
             
-            if (this.selectedDocumentId === documentId) {
-                this.selectedDocumentId = null;
-                this.disableSearch();
+            if (this.selectedDocumentIds.delete(documentId)) {
                 this.clearResults();
             }
             
@@ -256,26 +1411,227 @@ class UIManager {
         }
     }
 
-    displaySearchResults(searchResults) {
-        const formatted = vectorSearch.formatSearchResults(searchResults);
-        
-        if (formatted.count === 0) {
-            this.elements.resultsContainer.innerHTML = formatted.html;
-        } else {
-            const header = `
-                <div style="margin-bottom: 16px; color: #64748b; font-size: 14px;">
-                    Found ${formatted.count} relevant chunks from ${formatted.totalSearched} total chunks
+    async downloadOriginal(documentId) {
+        const stored = await documentDB.getDocumentFile(documentId);
+        if (!stored) {
+            this.showStatus('The original file was not kept for this document.', 'error');
+            return;
+        }
+        libraryBackup.downloadBlob(stored.blob, stored.filename);
+    }
+
+    // Id prefix of a turn's result items, so citations in its answer find them
+    sourcePrefix(turnIndex) {
+        return `turn${turnIndex + 1}-source-`;
+    }
+
+    renderThread() {
+        this.elements.resultsContainer.innerHTML = '';
+        conversation.turns.forEach((turn, index) => this.appendTurn(turn, index));
+    }
+
+    // One turn: the question, the query actually searched, its answer and its sources
+    appendTurn(turn, index) {
+        if (index === 0) {
+            this.elements.resultsContainer.innerHTML = ''; // drop the empty state
+        }
+
+        const rewrittenBy = { llm: 'rewritten by the answer model', heuristic: 'completed from earlier questions' };
+        const element = document.createElement('div');
+        element.className = 'thread-turn';
+        element.dataset.turnIndex = index;
+        element.innerHTML = `
+            <div class="turn-question">${escapeHtml(turn.question)}</div>
+            ${rewrittenBy[turn.rewriteMethod] ? `
+                <div class="turn-rewrite">Searched for “${escapeHtml(turn.query)}” (${rewrittenBy[turn.rewriteMethod]})</div>
+            ` : ''}
+            <div class="turn-answer">${this.formatStoredAnswer(turn, index)}</div>
+            ${this.formatResultsHeader(turn.response)}
+            <div class="results-list"></div>
+        `;
+        this.elements.resultsContainer.appendChild(element);
+        this.renderTurnResults(element);
+        return element;
+    }
+
+    formatResultsHeader(response) {
+        const count = response.results.length;
+        if (count === 0) return '';
+
+        const counts = response.documentCounts || [];
+        const perDocument = counts.length > 1
+            ? `<div class="result-counts">${counts.map(entry => `${escapeHtml(entry.documentName)}: ${entry.count}`).join(' • ')}</div>`
+            : '';
+        const across = counts.length > 1 ? ` across ${counts.length} documents` : '';
+        return `
+            <div class="results-header">
+                Found ${count} relevant chunks from ${response.totalSearched} total chunks${across}
+                ${perDocument}
+            </div>
+        `;
+    }
+
+    formatStoredAnswer(turn, index) {
+        if (turn.answer?.kind === 'extracted') {
+            return turn.answer.html;
+        }
+        if (turn.answer?.kind === 'generated') {
+            return `
+                <div class="answer-block">
+                    <div class="answer-label">Answer</div>
+                    <div class="answer-text">${answerGenerator.formatAnswer(turn.answer.text, turn.response.results, this.sourcePrefix(index))}</div>
                 </div>
             `;
-            this.elements.resultsContainer.innerHTML = header + formatted.html;
         }
+        return '';
+    }
+
+    // Re-render only the result items so a streamed answer above them survives regrouping
+    renderResultsList() {
+        this.elements.resultsContainer.querySelectorAll('.thread-turn').forEach(element => this.renderTurnResults(element));
+    }
+
+    renderTurnResults(element) {
+        const index = parseInt(element.dataset.turnIndex);
+        const turn = conversation.turns[index];
+        if (!turn) return;
+
+        element.querySelector('.results-list').innerHTML = vectorSearch.formatSearchResults(turn.response, {
+            groupByDocument: this.elements.groupByDocument.checked,
+            sourcePrefix: this.sourcePrefix(index)
+        }).html;
+    }
+
+    async renderThreadList() {
+        const threads = await conversation.list();
+        const currentId = conversation.thread?.id;
+        this.elements.threadSelect.innerHTML = `
+            <option value="">Saved threads (${threads.length})</option>
+            ${threads.map(thread => `
+                <option value="${thread.id}" ${thread.id === currentId ? 'selected' : ''}>
+                    ${escapeHtml(thread.title.length > 60 ? `${thread.title.slice(0, 60)}…` : thread.title)} • ${thread.turns.length} question(s)
+                </option>
+            `).join('')}
+        `;
+        this.elements.deleteThreadBtn.disabled = !currentId;
+    }
+
+    async openThread(id) {
+        if (!id) return;
+        this.answerAbortController?.abort();
+        try {
+            await conversation.open(id);
+            this.renderThread();
+            await this.renderThreadList();
+        } catch (error) {
+            console.error('Error opening thread:', error);
+            this.showStatus(`Error opening thread: ${error.message}`, 'error');
+        }
+    }
+
+    async deleteCurrentThread() {
+        const id = conversation.thread?.id;
+        if (!id || !confirm('Delete this thread?')) return;
+
+        try {
+            await conversation.remove(id);
+            this.clearResults();
+            await this.renderThreadList();
+            this.showStatus('Thread deleted.', 'success');
+        } catch (error) {
+            console.error('Error deleting thread:', error);
+            this.showStatus(`Error deleting thread: ${error.message}`, 'error');
+        }
+    }
+
+    // Streams into the turn's answer slot; resolves with the full text, or null on failure
+    async streamAnswer(query, results, turnElement) {
+        this.answerAbortController?.abort();
+        const abortController = new AbortController();
+        this.answerAbortController = abortController;
+
+        const answerElement = document.createElement('div');
+        answerElement.className = 'answer-block';
+        answerElement.innerHTML = `
+            <div class="answer-label">Answer</div>
+            <div class="answer-text streaming"></div>
+        `;
+        turnElement.querySelector('.turn-answer').appendChild(answerElement);
+        const sourcePrefix = this.sourcePrefix(parseInt(turnElement.dataset.turnIndex));
+
+        const answerText = answerElement.querySelector('.answer-text');
+        let text = '';
+
+        try {
+            await answerGenerator.generateAnswer(query, results, (token) => {
+                text += token;
+                answerText.innerHTML = answerGenerator.formatAnswer(text, results, sourcePrefix);
+            }, { signal: abortController.signal });
+
+            if (!text.trim()) {
+                answerText.textContent = 'The answer backend returned an empty response.';
+                return null;
+            }
+            return text;
+        } catch (error) {
+            if (error.name === 'AbortError') return null;
+            console.error('Error streaming answer:', error);
+            answerElement.classList.add('error');
+            answerText.textContent = `${error.message}. Showing matching chunks only.`;
+            return null;
+        } finally {
+            answerText.classList.remove('streaming');
+            if (this.answerAbortController === abortController) {
+                this.answerAbortController = null;
+            }
+        }
+    }
+
+    // Resolves with the answer's HTML when a confident span was found, else null
+    async showExtractedAnswer(query, results, turnElement) {
+        try {
+            if (!extractiveQA.isInitialized) {
+                await extractiveQA.initialize((progress, message) => {
+                    this.showStatus(`${message} (${Math.round(progress)}%)`, 'info');
+                });
+            }
+
+            this.showStatus('Reading top passages for an exact answer...', 'info');
+            const { answer, isConfident } = await extractiveQA.findAnswer(query, results);
+
+            if (isConfident) {
+                const html = extractiveQA.formatAnswer(answer);
+                turnElement.querySelector('.turn-answer').innerHTML = html;
+                this.clearStatus();
+                return html;
+            }
+            this.showStatus('No confident answer span found. Showing matching chunks instead.', 'info');
+        } catch (error) {
+            console.error('Error extracting answer:', error);
+            this.showStatus(`${error.message} Showing matching chunks instead.`, 'error');
+        }
+        return null;
+    }
+
+    scrollToSource(sourceId) {
+        const source = this.elements.resultsContainer.querySelector(`#${CSS.escape(sourceId)}`);
+        if (!source) return;
+
+        source.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        source.classList.add('flash');
+        setTimeout(() => source.classList.remove('flash'), 1500);
     }
 
+    // Empty the results area; the next question starts a new thread
     clearResults() {
+        this.answerAbortController?.abort();
+        conversation.startThread();
+        this.elements.threadSelect.value = '';
+        this.elements.deleteThreadBtn.disabled = true;
         this.elements.resultsContainer.innerHTML = `
             <div class="empty-state">
                 <h3>Ready to search</h3>
-                <p>Ask a question about your selected document</p>
+                <p>Ask a question about your documents</p>
             </div>
         `;
     }
@@ -293,10 +1649,9 @@ class UIManager {
         this.elements.statusMessage.innerHTML = '';
     }
 
+    // Uploads stay open while processing; new files wait in the queue
     setProcessingState(isProcessing) {
         this.isProcessing = isProcessing;
-        this.elements.uploadBtn.disabled = isProcessing;
-        this.elements.uploadBtn.textContent = isProcessing ? '⏳ Processing...' : '📄 Upload PDF';
     }
 
     setSearchState(isSearching) {
@@ -320,6 +1675,7 @@ class UIManager {
     getStatusText(status) {
         switch (status) {
             case 'processing': return 'Processing...';
+            case 'interrupted': return 'Interrupted';
             case 'ready': return 'Ready';
             case 'error': return 'Error';
             default: return 'Ready';
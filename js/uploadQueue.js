@@ -0,0 +1,274 @@
+// js/uploadQueue.js - Persistent queue of uploaded files waiting to be processed
+//
+// Items live in the uploadQueue table (the File itself included) so a reload picks up
+// where it left off. Item status: 'queued' | 'processing' | 'done' | 'error' | 'cancelled'.
+// Changes are announced with an 'uploadQueueChanged' window event.
+import { documentDB } from './database.js';
+import { extractorRegistry } from './extractors.js';
+import { hashFile } from './utils.js';
+
+const QUEUE_SETTINGS_KEY = 'localFilesQA.uploadQueue';
+const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB
+export const MAX_CONCURRENCY = 4;
+
+class UploadQueue {
+    constructor() {
+        this.items = [];             // queue rows in position order
+        this.running = new Map();    // item id -> AbortController
+        this.processor = null;       // async (item, { signal, onProgress, onDocument }) => void
+        this.settings = this.loadSettings();
+    }
+
+    loadSettings() {
+        const defaults = { concurrency: 1 };
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem(QUEUE_SETTINGS_KEY) || 'null') };
+        } catch (error) {
+            console.error('Error loading upload queue settings:', error);
+            return defaults;
+        }
+    }
+
+    saveSettings(settings) {
+        this.settings = { ...this.settings, ...settings };
+        localStorage.setItem(QUEUE_SETTINGS_KEY, JSON.stringify(this.settings));
+        return this.settings;
+    }
+
+    setConcurrency(concurrency) {
+        this.saveSettings({ concurrency: Math.min(MAX_CONCURRENCY, Math.max(1, concurrency || 1)) });
+        this.pump();
+        return this.settings.concurrency;
+    }
+
+    // Restore the queue; items cut off by a reload go back to waiting
+    async load() {
+        this.items = await documentDB.getQueueItems();
+        for (const item of this.items.filter(item => item.status === 'processing')) {
+            await this.update(item, { status: 'queued' });
+        }
+        this.notify();
+        return this.items;
+    }
+
+    setProcessor(processor) {
+        this.processor = processor;
+        this.pump();
+    }
+
+    get isRunning() {
+        return this.running.size > 0;
+    }
+
+    /**
+     * Validate, hash and enqueue files.
+     * resolveDuplicate(file, existingDocuments) decides what happens to a file whose
+     * content is already in the library: 'skip', 'replace' or 'version' (keep both).
+     * Returns { added, rejected: [{ name, reason }] }.
+     */
+    async add(files, resolveDuplicate = async () => 'skip') {
+        const rows = [];
+        const rejected = [];
+        let position = this.items.reduce((max, item) => Math.max(max, item.position), 0);
+
+        for (const file of files) {
+            if (!extractorRegistry.getExtractor(file)) {
+                rejected.push({ name: file.name, reason: 'unsupported file type' });
+                continue;
+            }
+            if (file.size > MAX_FILE_SIZE) {
+                rejected.push({ name: file.name, reason: 'larger than 50MB' });
+                continue;
+            }
+
+            const contentHash = await hashFile(file);
+            const waiting = contentHash && [...this.items, ...rows].find(item =>
+                item.contentHash === contentHash && ['queued', 'processing'].includes(item.status));
+            if (waiting) {
+                rejected.push({ name: file.name, reason: `same content as ${waiting.filename}, already queued` });
+                continue;
+            }
+
+            const row = {
+                file,
+                filename: file.name,
+                path: file.webkitRelativePath || file.name,
+                fileSize: file.size,
+                mimeType: file.type,
+                contentHash,
+                replacesDocumentIds: [],
+                version: 1,
+                previousVersionId: null,
+                status: 'queued',
+                position: position + 1,
+                progress: 0,
+                error: null,
+                documentId: null,
+                addedAt: new Date()
+            };
+
+            const existing = contentHash ? await documentDB.findDocumentsByHash(contentHash) : [];
+            if (existing.length > 0) {
+                const action = await resolveDuplicate(file, existing);
+                if (action === 'replace') {
+                    row.replacesDocumentIds = existing.map(doc => doc.id);
+                } else if (action === 'version') {
+                    const latest = existing.reduce((a, b) => ((b.version || 1) > (a.version || 1) ? b : a));
+                    row.version = (latest.version || 1) + 1;
+                    row.previousVersionId = latest.id;
+                } else {
+                    rejected.push({ name: file.name, reason: `same content as ${existing[0].filename}` });
+                    continue;
+                }
+            }
+
+            position++;
+            rows.push(row);
+        }
+
+        if (rows.length > 0) {
+            const ids = await documentDB.addQueueItems(rows);
+            rows.forEach((row, index) => { row.id = ids[index]; });
+            this.items.push(...rows);
+            console.log(`📥 Queued ${rows.length} file(s)`);
+        }
+
+        this.notify();
+        this.pump();
+        return { added: rows.length, rejected };
+    }
+
+    // Start queued items until the concurrency limit is reached
+    pump() {
+        if (!this.processor) return;
+
+        while (this.running.size < this.settings.concurrency) {
+            const next = this.items.find(item => item.status === 'queued');
+            if (!next) break;
+            // run() handles its own errors; this only catches a failed status write
+            this.run(next).catch(error => console.error(`Error running queue item ${next.id}:`, error));
+        }
+    }
+
+    async run(item) {
+        const controller = new AbortController();
+        this.running.set(item.id, controller);
+
+        try {
+            await this.update(item, { status: 'processing', progress: 0, error: null });
+            this.notify();
+
+            await this.processor(item, {
+                signal: controller.signal,
+                onProgress: (progress) => {
+                    item.progress = progress;
+                    this.notify();
+                },
+                onDocument: (documentId) => this.update(item, { documentId })
+            });
+            // The document holds everything now; drop the stored file
+            await this.update(item, { status: 'done', progress: 100, file: null });
+        } catch (error) {
+            if (controller.signal.aborted) {
+                await this.update(item, { status: 'cancelled', progress: 0, documentId: null });
+            } else {
+                // The document stays, so a retry continues from its checkpoint
+                console.error(`Error processing ${item.filename}:`, error);
+                await this.update(item, { status: 'error', error: error.message });
+            }
+        } finally {
+            this.running.delete(item.id);
+            this.notify();
+            this.pump();
+        }
+    }
+
+    // Apply changes in memory right away (pump() relies on that), then persist them
+    update(item, changes) {
+        Object.assign(item, changes);
+        const { progress, ...persisted } = changes;
+        return documentDB.updateQueueItem(item.id, persisted);
+    }
+
+    find(id) {
+        return this.items.find(item => item.id === id);
+    }
+
+    async cancel(id) {
+        const item = this.find(id);
+        if (!item) return;
+
+        if (this.running.has(id)) {
+            this.running.get(id).abort();
+        } else if (item.status === 'queued') {
+            await this.update(item, { status: 'cancelled' });
+            this.notify();
+        }
+    }
+
+    async retry(id) {
+        const item = this.find(id);
+        if (!item || !['error', 'cancelled'].includes(item.status)) return;
+
+        await this.update(item, { status: 'queued', progress: 0, error: null });
+        this.notify();
+        this.pump();
+    }
+
+    // Swap a waiting item with the previous (-1) or next (+1) waiting item
+    async move(id, direction) {
+        const waiting = this.items.filter(item => item.status === 'queued');
+        const index = waiting.findIndex(item => item.id === id);
+        const other = waiting[index + direction];
+        if (index === -1 || !other) return;
+
+        const item = waiting[index];
+        const position = item.position;
+        await this.update(item, { position: other.position });
+        await this.update(other, { position });
+        this.items.sort((a, b) => a.position - b.position);
+        this.notify();
+    }
+
+    async remove(id) {
+        if (this.running.has(id)) return;
+        await documentDB.deleteQueueItems([id]);
+        this.items = this.items.filter(item => item.id !== id);
+        this.notify();
+    }
+
+    async clearFinished() {
+        const finished = this.items.filter(item => item.status === 'done' || item.status === 'cancelled');
+        await documentDB.deleteQueueItems(finished.map(item => item.id));
+        this.items = this.items.filter(item => !finished.includes(item));
+        this.notify();
+    }
+
+    // Documents that belong to items still waiting or running
+    pendingDocumentIds() {
+        return this.items
+            .filter(item => item.documentId && ['queued', 'processing'].includes(item.status))
+            .map(item => item.documentId);
+    }
+
+    // Counts per status plus overall progress (0-100) of everything not cancelled
+    getSummary() {
+        const counts = { queued: 0, processing: 0, done: 0, error: 0, cancelled: 0 };
+        this.items.forEach(item => { counts[item.status]++; });
+
+        const active = this.items.filter(item => item.status !== 'cancelled');
+        const progress = active.length > 0
+            ? active.reduce((sum, item) => sum + (item.status === 'done' || item.status === 'error' ? 100 : item.progress || 0), 0) / active.length
+            : 0;
+
+        return { total: this.items.length, ...counts, progress };
+    }
+
+    notify() {
+        window.dispatchEvent(new CustomEvent('uploadQueueChanged'));
+    }
+}
+
+// Export the queue instance
+export const uploadQueue = new UploadQueue();
+window.uploadQueue = uploadQueue;
@@ -0,0 +1,30 @@
+// js/utils.js - Small helpers shared across modules
+
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Hex SHA-256 of a file's bytes, or null where WebCrypto is unavailable (insecure origins)
+export async function hashFile(file) {
+    if (!crypto?.subtle) return null;
+    const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export function escapeRegExp(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "p. 12–13" for paged sources, falling back to the chunk number
+export function formatChunkLocation(chunk) {
+    if (chunk.startPage == null) {
+        return `Chunk ${chunk.chunkIndex + 1}`;
+    }
+    return chunk.endPage != null && chunk.endPage !== chunk.startPage
+        ? `p. ${chunk.startPage}–${chunk.endPage}`
+        : `p. ${chunk.startPage}`;
+}
@@ -0,0 +1,119 @@
+// js/workerClient.js - Main-thread side of the ingest worker protocol
+class IngestWorkerClient {
+    constructor() {
+        this.worker = null;
+        this.localHandler = null; // in-process fallback when module workers are unavailable
+        this.pending = new Map();
+        this.nextId = 1;
+        this.isModelReady = false;
+        this.modelPromise = null;
+        this.fingerprint = null;   // { model, dimension } reported by the loaded model
+        this.embeddingSettings = null; // settings the loaded model was created with; queries use them
+    }
+
+    async start() {
+        if (this.worker || this.localHandler) return;
+
+        try {
+            this.worker = new Worker(new URL('./ingestWorker.js', import.meta.url), { type: 'module' });
+            this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+            this.worker.addEventListener('error', (event) => {
+                console.error('Ingest worker error:', event.message || event);
+                this.rejectAll(new Error(`Background worker error: ${event.message || 'failed to load'}`));
+            });
+            console.log('🧵 Ingest worker started');
+        } catch (error) {
+            console.warn('Module workers unavailable, processing on the main thread:', error);
+            this.worker = null;
+            const { createIngestHandler } = await import('./ingestPipeline.js');
+            this.localHandler = createIngestHandler(message => this.handleMessage(message));
+        }
+    }
+
+    async request(type, payload = {}, onProgress = null) {
+        await this.start();
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, onProgress });
+
+            const message = { id, type, ...payload };
+            if (this.worker) {
+                this.worker.postMessage(message);
+            } else {
+                this.localHandler(message);
+            }
+        });
+    }
+
+    handleMessage({ id, type, progress, message, result, error }) {
+        const request = this.pending.get(id);
+        if (!request) return;
+
+        switch (type) {
+            case 'progress':
+                request.onProgress?.(progress, message);
+                break;
+            case 'result':
+                this.pending.delete(id);
+                request.resolve(result);
+                break;
+            case 'error':
+                this.pending.delete(id);
+                request.reject(new Error(error));
+                break;
+        }
+    }
+
+    rejectAll(error) {
+        this.pending.forEach(request => request.reject(error));
+        this.pending.clear();
+    }
+
+    // Load the embedding model inside the worker (shared by concurrent callers)
+    async initializeModel(progressCallback, embeddingSettings = {}) {
+        if (this.isModelReady) return;
+
+        if (!this.modelPromise) {
+            this.modelPromise = this.request('init', { embeddingSettings }, progressCallback)
+                .then(({ fingerprint }) => {
+                    this.fingerprint = fingerprint;
+                    this.embeddingSettings = { ...embeddingSettings };
+                    this.isModelReady = true;
+                })
+                .finally(() => { this.modelPromise = null; });
+        }
+        return this.modelPromise;
+    }
+
+    // Forget the loaded model so the next initializeModel() loads the configured one
+    resetModel() {
+        this.isModelReady = false;
+        this.fingerprint = null;
+        this.embeddingSettings = null;
+    }
+
+    async embed(text) {
+        const { embedding } = await this.request('embed', { text, embeddingSettings: this.embeddingSettings || {} });
+        return embedding;
+    }
+
+    // Embed chunk texts with the given settings; progressCallback gets the share done (0-100)
+    async embedBatch(texts, embeddingSettings = {}, progressCallback = null) {
+        return this.request('embedBatch', { texts, embeddingSettings }, progressCallback);
+    }
+
+    // Extract text and structure off the main thread (formats that need no DOM)
+    async extractDocument({ file, extractorName, ocrSettings }, progressCallback) {
+        return this.request('extract', { file, extractorName, ocrSettings }, progressCallback);
+    }
+
+    // Split extracted text into chunks; embedding happens batch by batch via embedBatch
+    async chunkDocument({ documentId, extracted, chunkingConfig, embeddingSettings }) {
+        return this.request('chunk', { documentId, extracted, chunkingConfig, embeddingSettings });
+    }
+}
+
+// Export the worker client instance
+export const ingestWorker = new IngestWorkerClient();
+window.ingestWorker = ingestWorker;
@@ -0,0 +1,136 @@
+// sw.js - Service worker that keeps the app usable without a network connection
+//
+// The app shell and the CDN libraries are precached on install. Afterwards same-origin
+// files are served network-first (so edits show up when online) and CDN files
+// cache-first (their URLs are versioned). Model weights are cached by transformers.js
+// itself in the 'transformers-cache' cache, which the page checks directly.
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `localFilesQA-shell-${CACHE_VERSION}`;
+const LIBRARY_CACHE = `localFilesQA-libraries-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'js/app.js',
+    'js/database.js',
+    'js/migrations.js',
+    'js/annIndex.js',
+    'js/quantization.js',
+    'js/keywordIndex.js',
+    'js/pdfProcessor.js',
+    'js/extractors.js',
+    'js/chunker.js',
+    'js/ingestPipeline.js',
+    'js/ingestWorker.js',
+    'js/workerClient.js',
+    'js/embeddings.js',
+    'js/search.js',
+    'js/ui.js',
+    'js/utils.js',
+    'js/answerGenerator.js',
+    'js/extractiveQA.js',
+    'js/offline.js',
+    'js/backup.js',
+    'js/uploadQueue.js',
+    'js/ocr.js',
+    'js/pdfViewer.js',
+    'js/searchHistory.js',
+    'js/conversation.js',
+    'js/queryParser.js',
+    // English OCR data; other languages are fetched from the OCR data folder when used
+    'ocr/eng.traineddata.gz'
+];
+
+const LIBRARIES = [
+    'https://cdnjs.cloudflare.com/ajax/libs/dexie/3.2.4/dexie.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/mammoth/1.6.0/mammoth.browser.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js',
+    'https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.2',
+    // onnxruntime-web loads one of these depending on SIMD support
+    'https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.2/dist/ort-wasm-simd.wasm',
+    'https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.2/dist/ort-wasm.wasm',
+    // OCR for scanned PDFs; the core build is chosen by SIMD support
+    'https://cdn.jsdelivr.net/npm/tesseract.js@5.1.1/dist/tesseract.min.js',
+    'https://cdn.jsdelivr.net/npm/tesseract.js@5.1.1/dist/worker.min.js',
+    'https://cdn.jsdelivr.net/npm/tesseract.js-core@5.1.1/tesseract-core-simd-lstm.wasm.js',
+    'https://cdn.jsdelivr.net/npm/tesseract.js-core@5.1.1/tesseract-core-lstm.wasm.js'
+];
+
+const LIBRARY_HOSTS = ['cdnjs.cloudflare.com', 'cdn.jsdelivr.net'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(APP_SHELL);
+
+        // Libraries are best effort: a flaky CDN should not block the install
+        const libraries = await caches.open(LIBRARY_CACHE);
+        await Promise.all(LIBRARIES.map(url => libraries.add(url).catch(error => {
+            console.warn('Could not precache', url, error);
+        })));
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const current = [SHELL_CACHE, LIBRARY_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('localFilesQA-') && !current.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    } else if (LIBRARY_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request, LIBRARY_CACHE));
+    }
+});
+
+async function networkFirst(request, cacheName) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(cacheName);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function cacheFirst(request, cacheName) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(cacheName);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// The page asks for the precache list to report what is still missing
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'getAssets') {
+        event.ports[0]?.postMessage({
+            shell: APP_SHELL.map(path => new URL(path, self.registration.scope).href),
+            libraries: LIBRARIES
+        });
+    }
+});
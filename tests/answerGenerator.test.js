@@ -0,0 +1,82 @@
+// tests/answerGenerator.test.js - Prompt building and cited answer rendering
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The generator reads its backend config from localStorage and registers itself on window
+globalThis.window ??= globalThis;
+globalThis.localStorage ??= { getItem: () => null, setItem: () => {} };
+const { answerGenerator } = await import('../js/answerGenerator.js');
+
+const result = (documentName, chunkIndex, text = `Text of ${documentName}.`, pages = {}) => ({
+    documentName,
+    chunk: { chunkIndex, text, ...pages }
+});
+
+test('sources are numbered in result order with their location', () => {
+    const [system, user] = answerGenerator.buildMessages('What is the refund window?', [
+        result('policy.pdf', 0, 'Refunds are accepted\n  within 30 days.'),
+        result('faq.pdf', 4)
+    ]);
+
+    assert.equal(system.role, 'system');
+    assert.match(system.content, /square brackets/);
+    assert.equal(user.role, 'user');
+    assert.equal(user.content,
+        'Sources:\n\n' +
+        '[1] policy.pdf, Chunk 1\nRefunds are accepted within 30 days.\n\n' +
+        '[2] faq.pdf, Chunk 5\nText of faq.pdf.\n\n' +
+        'Question: What is the refund window?');
+});
+
+test('sources from paged documents are located by page', () => {
+    const { content } = answerGenerator.buildMessages('q', [
+        result('report.pdf', 2, 'One page.', { startPage: 3, endPage: 3 }),
+        result('report.pdf', 3, 'Two pages.', { startPage: 3, endPage: 4 })
+    ])[1];
+
+    assert.match(content, /^\[1\] report\.pdf, p\. 3\n/m);
+    assert.match(content, /^\[2\] report\.pdf, p\. 3–4\n/m);
+});
+
+test('the prompt keeps at most maxSources sources of at most maxSourceChars each', () => {
+    const results = Array.from({ length: 8 }, (_, i) => result(`doc${i}.pdf`, i, 'x'.repeat(5000)));
+    const { content } = answerGenerator.buildMessages('q', results)[1];
+
+    assert.equal(content.match(/^\[\d+\]/gm).length, answerGenerator.maxSources);
+    assert.ok(!content.includes('doc5.pdf'));
+    assert.ok(content.includes('x'.repeat(answerGenerator.maxSourceChars)));
+    assert.ok(!content.includes('x'.repeat(answerGenerator.maxSourceChars + 1)));
+});
+
+test('citations link to their source and carry its name as title', () => {
+    const html = answerGenerator.formatAnswer('Within 30 days [1][2].', [result('policy.pdf', 0), result('faq.pdf', 4)]);
+
+    assert.equal(html,
+        'Within 30 days ' +
+        '<a href="#source-1" class="citation" data-source="source-1" title="policy.pdf • Chunk 1">[1]</a>' +
+        '<a href="#source-2" class="citation" data-source="source-2" title="faq.pdf • Chunk 5">[2]</a>.');
+});
+
+test('citations use the id prefix their result list was rendered with', () => {
+    const html = answerGenerator.formatAnswer('[1]', [result('policy.pdf', 0)], 'turn3-source-');
+    assert.match(html, /^<a href="#turn3-source-1" class="citation" data-source="turn3-source-1" /);
+});
+
+test('citation titles name the pages of paged sources', () => {
+    const html = answerGenerator.formatAnswer('[1]', [result('report.pdf', 2, 'x', { startPage: 7, endPage: 8 })]);
+    assert.match(html, /title="report\.pdf • p\. 7–8"/);
+});
+
+test('citations without a matching source stay plain text', () => {
+    const results = Array.from({ length: 7 }, (_, i) => result(`doc${i}.pdf`, i));
+    const html = answerGenerator.formatAnswer('See [0], [6] and [12].', results);
+
+    assert.equal(html, 'See [0], [6] and [12].');
+});
+
+test('answer text and source names are escaped and newlines become breaks', () => {
+    const html = answerGenerator.formatAnswer('<b>Yes</b> & no\nsee [1]', [result('"a<b>".pdf', 0)]);
+
+    assert.ok(html.startsWith('&lt;b&gt;Yes&lt;/b&gt; &amp; no<br>see '));
+    assert.match(html, /title="&quot;a&lt;b&gt;&quot;\.pdf • Chunk 1"/);
+});
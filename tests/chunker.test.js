@@ -0,0 +1,58 @@
+// tests/chunker.test.js - Chunk boundaries and page provenance
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The chunker reads its saved config from localStorage and registers itself on window
+globalThis.window ??= globalThis;
+globalThis.localStorage ??= { getItem: () => null, setItem: () => {} };
+const { textChunker } = await import('../js/chunker.js');
+
+const words = (count, prefix = 'w') => Array.from({ length: count }, (_, i) => `${prefix}${i}`).join(' ');
+
+test('fixed word windows overlap by the configured number of words', () => {
+    const { chunks, config } = textChunker.chunk({ text: words(25) }, 1, { strategy: 'words', maxTokens: 10, overlap: 2 });
+
+    assert.equal(config.strategy, 'words');
+    assert.deepEqual(chunks.map(chunk => chunk.tokenCount), [10, 10, 9]);
+    assert.equal(chunks[0].text.split(' ').at(-1), 'w9');
+    assert.equal(chunks[1].text.split(' ')[0], 'w8');
+    assert.equal(chunks.at(-1).text.split(' ').at(-1), 'w24');
+});
+
+test('chunks are numbered in reading order and keep their offsets', () => {
+    const text = words(30);
+    const { chunks } = textChunker.chunk({ text }, 4, { strategy: 'words', maxTokens: 10, overlap: 0 });
+
+    assert.deepEqual(chunks.map(chunk => chunk.chunkIndex), [0, 1, 2]);
+    chunks.forEach(chunk => {
+        assert.equal(chunk.documentId, 4);
+        assert.equal(text.slice(chunk.charStart, chunk.charEnd), chunk.text);
+    });
+});
+
+test('chunks record the pages they start and end on', () => {
+    const page1 = words(8, 'a');
+    const page2 = words(8, 'b');
+    const text = `${page1} ${page2}`;
+    const pages = [
+        { pageNumber: 1, start: 0, end: page1.length },
+        { pageNumber: 2, start: page1.length + 1, end: text.length }
+    ];
+    const { chunks } = textChunker.chunk({ text, pages }, 1, { strategy: 'words', maxTokens: 6, overlap: 0 });
+
+    assert.deepEqual(chunks.map(chunk => [chunk.startPage, chunk.endPage]), [[1, 1], [1, 2], [2, 2]]);
+});
+
+test('text without pages has no page numbers', () => {
+    const { chunks } = textChunker.chunk({ text: words(5) }, 1, { strategy: 'words', maxTokens: 10, overlap: 0 });
+    assert.equal(chunks[0].startPage, null);
+    assert.equal(chunks[0].endPage, null);
+});
+
+test('sentence packing never splits a sentence that fits', () => {
+    const text = 'One short sentence here. Another short sentence follows. A third one ends it.';
+    const { chunks } = textChunker.chunk({ text }, 1, { strategy: 'sentences', maxTokens: 12, overlap: 0 });
+
+    assert.ok(chunks.length > 1);
+    chunks.forEach(chunk => assert.match(chunk.text, /\.$/));
+});
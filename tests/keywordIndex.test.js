@@ -0,0 +1,32 @@
+// tests/keywordIndex.test.js - BM25 tokenizer and index rows
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, buildKeywordEntries } from '../js/keywordIndex.js';
+
+test('lowercases and drops stopwords and single letters', () => {
+    assert.deepEqual(tokenize('The Quick brown fox is a Fox'), ['quick', 'brown', 'fox', 'fox']);
+});
+
+test('keeps codes whole and also splits them into parts', () => {
+    assert.deepEqual(tokenize('Error E-1042'), ['error', 'e-1042', '1042']);
+    assert.deepEqual(tokenize('see v2.3.1'), ['see', 'v2.3.1', 'v2', '3', '1']);
+    assert.deepEqual(tokenize('user_id'), ['user_id', 'user', 'id']);
+});
+
+test('keeps single digits but not single letters', () => {
+    assert.deepEqual(tokenize('step 3 of plan b'), ['step', '3', 'plan']);
+});
+
+test('splits on punctuation and handles non-Latin letters', () => {
+    assert.deepEqual(tokenize('Größe, Übersicht; 東京!'), ['größe', 'übersicht', '東京']);
+    assert.deepEqual(tokenize(''), []);
+});
+
+test('builds one posting per term with its frequency', () => {
+    const { postings, doc } = buildKeywordEntries(7, 2, 'Fox and fox and dog');
+    assert.deepEqual(postings, [
+        { term: 'fox', chunkId: 7, documentId: 2, tf: 2 },
+        { term: 'dog', chunkId: 7, documentId: 2, tf: 1 }
+    ]);
+    assert.deepEqual(doc, { chunkId: 7, documentId: 2, length: 3 });
+});
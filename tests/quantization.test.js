@@ -0,0 +1,70 @@
+// tests/quantization.test.js - int8 and binary quantization
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    quantizeInt8, dequantizeInt8, quantizeBinary, hammingDistance, int8Dot, quantizeEmbedding
+} from '../js/quantization.js';
+
+function randomVector(dimension, seed) {
+    // Small LCG so failures reproduce
+    let state = seed;
+    return Float32Array.from({ length: dimension }, () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296 * 2 - 1;
+    });
+}
+
+test('int8 round trip stays within half a step', () => {
+    const vector = randomVector(384, 42);
+    const { codes, scale } = quantizeInt8(vector);
+    const restored = dequantizeInt8(codes, scale);
+
+    assert.equal(restored.length, vector.length);
+    for (let i = 0; i < vector.length; i++) {
+        assert.ok(Math.abs(restored[i] - vector[i]) <= scale / 2 + 1e-6, `component ${i}`);
+    }
+});
+
+test('int8 uses the full code range for the largest component', () => {
+    const { codes, scale } = quantizeInt8(new Float32Array([0.5, -0.2, 0.1]));
+    assert.deepEqual([...codes], [127, -51, 25]);
+    assert.ok(Math.abs(scale - 0.5 / 127) < 1e-9);
+});
+
+test('a zero vector quantizes to zeros and back', () => {
+    const { codes, scale } = quantizeInt8(new Float32Array(8));
+    assert.equal(scale, 1);
+    assert.deepEqual([...dequantizeInt8(codes, scale)], new Array(8).fill(0));
+});
+
+test('int8 dot product tracks the float dot product', () => {
+    const a = randomVector(384, 1);
+    const b = randomVector(384, 2);
+    const qa = quantizeInt8(a);
+    const qb = quantizeInt8(b);
+
+    let exact = 0;
+    for (let i = 0; i < a.length; i++) exact += a[i] * b[i];
+    const approximate = int8Dot(qa.codes, qb.codes) * qa.scale * qb.scale;
+    assert.ok(Math.abs(approximate - exact) < 0.05 * Math.abs(exact) + 0.05);
+});
+
+test('binary codes set one bit per positive component', () => {
+    const bits = quantizeBinary(new Float32Array([1, -1, 0, 2, 0.5, -3, -0.1, 4, 0.2]));
+    assert.deepEqual([...bits], [0b10011001, 0b1]);
+});
+
+test('hamming distance counts differing bits', () => {
+    assert.equal(hammingDistance(new Uint8Array([0b1010, 0xff]), new Uint8Array([0b0110, 0x0f])), 6);
+    const bits = quantizeBinary(randomVector(64, 3));
+    assert.equal(hammingDistance(bits, bits), 0);
+});
+
+test('quantizeEmbedding accepts plain arrays', () => {
+    const row = quantizeEmbedding(5, 1, [0.3, -0.4, 0.1]);
+    assert.equal(row.chunkId, 5);
+    assert.equal(row.documentId, 1);
+    assert.ok(row.int8 instanceof Int8Array);
+    assert.deepEqual([...row.int8], [95, -127, 32]);
+    assert.deepEqual([...row.bits], [0b101]);
+});
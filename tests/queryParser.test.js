@@ -0,0 +1,95 @@
+// tests/queryParser.test.js - Structured search syntax
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuery, hasDocumentFilters, hasChunkFilters, hasTextFilters, createTextFilter } from '../js/queryParser.js';
+
+test('plain words are free text', () => {
+    const parsed = parseQuery('refund policy for  students');
+    assert.equal(parsed.text, 'refund policy for students');
+    assert.deepEqual(parsed.phrases, []);
+    assert.deepEqual(parsed.excluded, []);
+    assert.deepEqual(parsed.errors, []);
+    assert.equal(hasDocumentFilters(parsed), false);
+    assert.equal(hasChunkFilters(parsed), false);
+});
+
+test('document filters are collected and kept out of the text', () => {
+    const parsed = parseQuery('doc:"staff handbook" doc:policy tag:Legal tag:hr leave');
+    assert.equal(parsed.text, 'leave');
+    assert.deepEqual(parsed.filters.documents, ['staff handbook', 'policy']);
+    assert.deepEqual(parsed.filters.tags, ['legal', 'hr']);
+    assert.equal(hasDocumentFilters(parsed), true);
+});
+
+test('dates accept a year, a month or a day', () => {
+    const parsed = parseQuery('after:2026-03 before:2027');
+    assert.deepEqual(parsed.errors, []);
+    assert.equal(parsed.filters.after.getTime(), new Date(2026, 2, 1).getTime());
+    assert.equal(parsed.filters.before.getTime(), new Date(2027, 0, 1).getTime());
+    assert.equal(parseQuery('after:2026-02-14').filters.after.getTime(), new Date(2026, 1, 14).getTime());
+});
+
+test('page ranges: single page, closed and open-ended', () => {
+    assert.deepEqual(parseQuery('page:12').filters.pages, { from: 12, to: 12 });
+    assert.deepEqual(parseQuery('page:10-40').filters.pages, { from: 10, to: 40 });
+    assert.deepEqual(parseQuery('page:10-').filters.pages, { from: 10, to: Infinity });
+    assert.equal(hasChunkFilters(parseQuery('page:3')), true);
+    assert.equal(hasTextFilters(parseQuery('page:3')), false);
+});
+
+test('phrases and exclusions', () => {
+    const parsed = parseQuery('notice "termination date" -draft -"old version" period');
+    assert.equal(parsed.text, 'notice period');
+    assert.deepEqual(parsed.phrases, ['termination date']);
+    assert.deepEqual(parsed.excluded, ['draft', 'old version']);
+    assert.equal(hasTextFilters(parsed), true);
+});
+
+test('unknown keys and a lone dash stay text', () => {
+    const parsed = parseQuery('ratio:3 - note: -version:2');
+    assert.equal(parsed.text, 'ratio:3 note:');
+    assert.deepEqual(parsed.excluded, ['version:2']);
+    assert.deepEqual(parsed.errors, []);
+});
+
+test('filter keys are case-insensitive', () => {
+    const parsed = parseQuery('TAG:Finance Page:2');
+    assert.deepEqual(parsed.filters.tags, ['finance']);
+    assert.deepEqual(parsed.filters.pages, { from: 2, to: 2 });
+});
+
+test('problems are reported with their token', () => {
+    const messages = (query) => parseQuery(query).errors.map(error => error.message);
+
+    assert.deepEqual(parseQuery('"open phrase').errors, [{ message: 'Missing closing quote', token: '"open phrase' }]);
+    assert.deepEqual(messages('doc:"handbook'), ['Missing closing quote']);
+    assert.deepEqual(messages('-tag:legal'), ['tag: filters cannot be negated']);
+    assert.deepEqual(messages('tag:'), ['tag: needs a value']);
+    assert.deepEqual(messages('after:2026-02-30'), ['"2026-02-30" is not a date; use YYYY-MM-DD']);
+    assert.deepEqual(messages('after:2026-06 before:2026-01'), ['after: must be earlier than before:']);
+    assert.deepEqual(messages('after:2026 after:2027'), ['Only one after: filter is allowed']);
+    assert.deepEqual(messages('page:0'), ['"0" is not a page range; use page:12 or page:10-40']);
+    assert.deepEqual(messages('page:9-3'), ['"9-3" is not a page range; use page:12 or page:10-40']);
+    assert.deepEqual(messages('page:1 page:2'), ['Only one page: filter is allowed']);
+});
+
+test('text filter requires every phrase, ignoring case and spacing', () => {
+    const accepts = createTextFilter(parseQuery('"notice  period" "Thirty days"'));
+    assert.equal(accepts({ text: 'The notice\nperiod is thirty days.' }), true);
+    assert.equal(accepts({ text: 'The notice period is one month.' }), false);
+});
+
+test('text filter excludes whole words and phrases only', () => {
+    const accepts = createTextFilter(parseQuery('-draft -"old version"'));
+    assert.equal(accepts({ text: 'Drafting guidelines' }), true);
+    assert.equal(accepts({ text: 'This DRAFT is not final' }), false);
+    assert.equal(accepts({ text: 'see the old\nversion' }), false);
+    assert.equal(accepts({ text: 'the older version' }), true);
+});
+
+test('excluded terms with regex characters are matched literally', () => {
+    const accepts = createTextFilter(parseQuery('-c++ -v2.1'));
+    assert.equal(accepts({ text: 'written in c++ mostly' }), false);
+    assert.equal(accepts({ text: 'release v2x1' }), true);
+    assert.equal(accepts({ text: 'release v2.1 notes' }), false);
+});